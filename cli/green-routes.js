@@ -0,0 +1,88 @@
+#!/usr/bin/env node
+const { parseArgs } = require('util');
+const { planOptions, runPlan } = require('./plan');
+
+const USAGE = `Usage: green-routes plan --lat <lat> --lon <lon> [options]
+
+Prints a healthy plan as JSON.
+
+  --region <id>                       san-diego, los-angeles or sacramento
+                                      (default: the region around --lat/--lon)
+  --mode <walk|run|bike>              travel mode (default walk)
+  --route <protected|shortest|cleanest>
+                                      routing preference (default protected)
+  --budget <10|20|30>                 minutes of travel to search (default 20)
+  --amenities <id,id>                 required amenities, e.g. playground,restrooms
+  --loop <miles>                      plan a loop of this length instead
+  --depart <time>                     departure time for the daylight check (default now)
+  --evening                           prefer lit parks and bikeways
+  --pace <min/mi>  --weight <kg>      for time and calorie estimates
+  --parks <file>                      parks GeoJSON (default: the region's parks file)
+  --tracts <file>                     HPI tracts GeoJSON (default: HPI API with HPI_API_KEY)
+  --bike-paths <file>                 bike network GeoJSON
+  --routing <mapbox|straight>         default mapbox when MAPBOX_TOKEN is set
+  --guide-server <url>                park guide server (default: template guides)
+`;
+
+const OPTIONS = {
+  lat: { type: 'string' },
+  lon: { type: 'string' },
+  region: { type: 'string' },
+  mode: { type: 'string' },
+  route: { type: 'string' },
+  budget: { type: 'string' },
+  amenities: { type: 'string' },
+  loop: { type: 'string' },
+  depart: { type: 'string' },
+  evening: { type: 'boolean' },
+  pace: { type: 'string' },
+  weight: { type: 'string' },
+  parks: { type: 'string' },
+  tracts: { type: 'string' },
+  'bike-paths': { type: 'string' },
+  routing: { type: 'string' },
+  'guide-server': { type: 'string' },
+  help: { type: 'boolean', short: 'h' },
+};
+
+// parseArgs reads "-117.16" as an option, so attach negative numbers to their flag.
+const joinNegativeNumbers = (argv) =>
+  argv.reduce((args, arg) => {
+    const previous = args[args.length - 1];
+    if (/^-\d/.test(arg) && previous?.startsWith('--') && !previous.includes('=')) {
+      args[args.length - 1] = `${previous}=${arg}`;
+    } else {
+      args.push(arg);
+    }
+    return args;
+  }, []);
+
+const main = async (argv) => {
+  let parsed;
+  let options;
+  try {
+    parsed = parseArgs({ args: joinNegativeNumbers(argv), options: OPTIONS, allowPositionals: true });
+    if (parsed.values.help) {
+      process.stdout.write(USAGE);
+      return 0;
+    }
+    if (parsed.positionals[0] !== 'plan') throw new Error('Unknown command');
+    options = planOptions(parsed.values);
+  } catch (error) {
+    process.stderr.write(`${error.message}\n\n${USAGE}`);
+    return 2;
+  }
+
+  try {
+    const result = await runPlan(options);
+    process.stdout.write(`${JSON.stringify(result, null, 2)}\n`);
+    return 0;
+  } catch (error) {
+    process.stderr.write(`${error.message}\n`);
+    return 1;
+  }
+};
+
+main(process.argv.slice(2)).then(code => {
+  process.exitCode = code;
+});
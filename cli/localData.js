@@ -0,0 +1,20 @@
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..');
+
+// The first of a region's parks files that is on disk: bundled assets live in
+// src/geo_data and URLs are served from public/. Shared by the CLI and the
+// guide server.
+const localParksSource = (region) =>
+  region.parks
+    .filter(source => source.type === 'geojson')
+    .map(source => ({
+      ...source,
+      file: source.asset
+        ? path.join(ROOT, 'src', 'geo_data', source.asset)
+        : path.join(ROOT, 'public', source.url),
+    }))
+    .find(source => fs.existsSync(source.file));
+
+module.exports = { localParksSource };
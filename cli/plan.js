@@ -0,0 +1,228 @@
+require('./register');
+
+const fs = require('fs');
+const { createPlanner } = require('../src/planning/planner');
+const { TRAVEL_MODES, estimateTrip } = require('../src/planning/travelModes');
+const { ISOCHRONE_MINUTES } = require('../src/planning/isochrones');
+const { createMapboxRouting, createStraightLineRouting } = require('../src/routing/providers');
+const { createServerGuides, templateGuides } = require('../src/parks/guides');
+const { AMENITY_FILTERS } = require('../src/parks/facilities');
+const { toWgs84, withDeclaredCrs } = require('../src/data/reproject');
+const { fetchHpiTracts } = require('../src/data/hpi');
+const { featuresWithin } = require('../src/data/bounds');
+const { REGIONS, findRegion, regionForPoint } = require('../src/regions/regions');
+const { localParksSource } = require('./localData');
+
+const ROUTE_PREFERENCES = ['protected', 'shortest', 'cleanest'];
+
+const readGeojson = (file, crs) => toWgs84(withDeclaredCrs(JSON.parse(fs.readFileSync(file, 'utf8')), crs));
+
+// A positive number option, or `fallback` when it wasn't given.
+const positiveOption = (values, name, fallback) => {
+  if (values[name] === undefined) return fallback;
+  const value = Number(values[name]);
+  if (!Number.isFinite(value) || value <= 0) throw new Error(`--${name} must be a positive number`);
+  return value;
+};
+
+const round = (value, digits = 2) => (typeof value === 'number' ? Number(value.toFixed(digits)) : value);
+
+/**
+ * Checks and normalises parsed command-line options. Throws with a message
+ * suitable for the usage output when something is missing or invalid.
+ */
+const planOptions = (values, env = process.env) => {
+  const lat = Number(values.lat);
+  const lon = Number(values.lon);
+  if (values.lat === undefined || values.lon === undefined || !Number.isFinite(lat) || !Number.isFinite(lon)) {
+    throw new Error('--lat and --lon are required numbers');
+  }
+
+  const region = values.region ? findRegion(values.region) : regionForPoint([lon, lat]);
+  if (!region) {
+    throw new Error(values.region
+      ? `--region must be one of ${REGIONS.map(({ id }) => id).join(', ')}`
+      : '--lat and --lon are outside the supported regions; pass --region');
+  }
+
+  const parksSource = values.parks ? { file: values.parks } : localParksSource(region);
+  if (!parksSource) throw new Error(`--parks is required for ${region.name}, which has no parks file on disk`);
+
+  const mode = values.mode || 'walk';
+  if (!TRAVEL_MODES[mode]) throw new Error(`--mode must be one of ${Object.keys(TRAVEL_MODES).join(', ')}`);
+
+  const preference = values.route || 'protected';
+  if (!ROUTE_PREFERENCES.includes(preference)) throw new Error(`--route must be one of ${ROUTE_PREFERENCES.join(', ')}`);
+
+  const timeBudget = values.budget === undefined ? 20 : Number(values.budget);
+  if (!ISOCHRONE_MINUTES.includes(timeBudget)) throw new Error(`--budget must be one of ${ISOCHRONE_MINUTES.join(', ')}`);
+
+  const amenities = values.amenities ? values.amenities.split(',') : [];
+  const unknown = amenities.filter(id => !AMENITY_FILTERS.some(filter => filter.id === id));
+  if (unknown.length > 0) throw new Error(`Unknown amenities: ${unknown.join(', ')}`);
+
+  const departAt = values.depart === undefined ? new Date() : new Date(values.depart);
+  if (Number.isNaN(departAt.valueOf())) throw new Error('--depart must be a date and time, e.g. 2024-12-21T17:30-08:00');
+
+  const token = env.MAPBOX_TOKEN || env.REACT_APP_MAPBOX_TOKEN;
+  const routing = values.routing || (token ? 'mapbox' : 'straight');
+  if (routing === 'mapbox' && !token) throw new Error('--routing mapbox needs MAPBOX_TOKEN in the environment');
+  if (!['mapbox', 'straight'].includes(routing)) throw new Error('--routing must be mapbox or straight');
+
+  return {
+    origin: [lon, lat],
+    region,
+    mode,
+    preference,
+    evening: Boolean(values.evening),
+    departAt,
+    timeBudget,
+    amenities,
+    pace: positiveOption(values, 'pace', TRAVEL_MODES[mode].pace),
+    weightKg: positiveOption(values, 'weight', undefined),
+    loopMiles: positiveOption(values, 'loop', null),
+    parksFile: parksSource.file,
+    parksCrs: parksSource.crs,
+    tractsFile: values.tracts,
+    bikePathsFile: values['bike-paths'],
+    routing,
+    token,
+    guideServer: values['guide-server'],
+    hpiKey: env.HPI_API_KEY || env.REACT_APP_HPI_API_KEY,
+  };
+};
+
+const loadTracts = async (options) => {
+  if (options.tractsFile) return readGeojson(options.tractsFile);
+  if (!options.hpiKey) {
+    console.error('No --tracts file or HPI_API_KEY; environmental ratings will be empty.');
+    return null;
+  }
+  return fetchHpiTracts({ key: options.hpiKey, region: options.region });
+};
+
+const summarizePark = (park, center) => ({
+  objectid: park.properties.objectid ?? null,
+  name: park.properties.full_name || park.properties.common_name,
+  address: park.properties.address_lo?.trim() || null,
+  center: center.map(value => round(value, 5)),
+});
+
+const summarizeRoute = (route, options) => {
+  if (!route) return null;
+  const trip = estimateTrip(route.properties.distance, options.mode, {
+    pace: options.pace,
+    weightKg: options.weightKg,
+  });
+
+  return {
+    distance: round(route.properties.distance, 1),
+    networkDistance: round(route.properties.networkDistance, 1),
+    unlitDistance: round(route.properties.unlitDistance, 1),
+    minutes: round(trip.minutes, 1),
+    calories: Math.round(trip.calories),
+    exposure: route.properties.exposure && {
+      score: route.properties.exposure.score,
+      lowShare: round(route.properties.exposure.lowShare, 3),
+      meanPercentile: round(route.properties.exposure.meanPercentile, 3),
+    },
+    steps: route.properties.steps.map(step => ({ instruction: step.instruction, distance: round(step.distance, 1) })),
+    geometry: route.geometry,
+  };
+};
+
+const summarizeDaylight = (daylight) => daylight && {
+  sunrise: daylight.sunrise.toISOString(),
+  sunset: daylight.sunset.toISOString(),
+  daylightLeft: round(daylight.daylightLeft, 1),
+  arrival: daylight.arrival.toISOString(),
+  back: daylight.back.toISOString(),
+  arrivesAfterDark: daylight.arrivesAfterDark,
+  returnsAfterDark: daylight.returnsAfterDark,
+};
+
+/**
+ * Builds a plan from command-line options and returns it as plain JSON:
+ * the chosen park (or loop stops), the route summary with steps and, for
+ * park plans, the ranked alternatives.
+ */
+const runPlan = async (options) => {
+  const planner = createPlanner({
+    routing: options.routing === 'mapbox' ? createMapboxRouting(options.token) : createStraightLineRouting(),
+    guides: options.guideServer ? createServerGuides(`${options.guideServer}/api/park-guide`) : templateGuides,
+  });
+
+  const tracts = await loadTracts(options);
+  if (tracts) planner.setTracts(tracts);
+  planner.setParks(featuresWithin(readGeojson(options.parksFile, options.parksCrs), options.region.bounds));
+  if (options.bikePathsFile) planner.setBikePaths(readGeojson(options.bikePathsFile));
+
+  const routeOptions = {
+    mode: options.mode,
+    preference: options.preference,
+    evening: options.evening,
+    pace: options.pace,
+    departAt: options.departAt,
+  };
+  const base = {
+    region: options.region.id,
+    origin: options.origin,
+    mode: options.mode,
+    preference: options.preference,
+    evening: options.evening,
+    departAt: options.departAt.toISOString(),
+    routing: options.routing,
+  };
+
+  if (options.loopMiles) {
+    const { plan, route } = await planner.planLoop({
+      origin: options.origin,
+      targetMiles: options.loopMiles,
+      amenities: options.amenities,
+      ...routeOptions,
+    });
+    return {
+      ...base,
+      plan: {
+        type: 'Loop',
+        targetMiles: plan.targetMiles,
+        stops: plan.stops.map(({ park, center }) => summarizePark(park, center)),
+        daylight: summarizeDaylight(plan.daylight),
+      },
+      route: summarizeRoute(route, options),
+    };
+  }
+
+  const { plan, route, recommendations } = await planner.planPark({
+    origin: options.origin,
+    amenities: options.amenities,
+    timeBudget: options.timeBudget,
+    region: options.region.id,
+    ...routeOptions,
+  });
+  return {
+    ...base,
+    timeBudget: options.timeBudget,
+    plan: {
+      type: 'Park',
+      park: summarizePark(plan.location, plan.recommendation.center),
+      environmentalRating: round(plan.environmentalRating, 4),
+      guideSource: plan.guideSource,
+      guide: plan.guide,
+      daylight: summarizeDaylight(plan.daylight),
+    },
+    route: summarizeRoute(route, options),
+    recommendations: recommendations.map(recommendation => ({
+      ...summarizePark(recommendation.park, recommendation.center),
+      score: round(recommendation.score),
+      distance: round(recommendation.distance),
+      minutes: recommendation.minutes ?? null,
+      percentile: round(recommendation.percentile, 4),
+      breakdown: Object.fromEntries(
+        Object.entries(recommendation.breakdown).map(([key, value]) => [key, round(value)])
+      ),
+    })),
+  };
+};
+
+module.exports = { planOptions, runPlan };
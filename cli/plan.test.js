@@ -0,0 +1,86 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { execFile } = require('child_process');
+const { planOptions, runPlan } = require('./plan');
+const expectedPlan = require('./fixtures/expected-plan.json');
+
+const CLI = path.join(__dirname, 'green-routes.js');
+const fixture = (name) => path.join(__dirname, 'fixtures', name);
+
+const fixtureValues = {
+  lat: '32.7157',
+  lon: '-117.1611',
+  mode: 'run',
+  budget: '20',
+  depart: '2024-12-21T16:00:00-08:00',
+  parks: fixture('parks.geojson'),
+  tracts: fixture('tracts.geojson'),
+  routing: 'straight',
+};
+
+const runCli = (args) => new Promise(resolve => {
+  execFile(process.execPath, [CLI, ...args], { env: { PATH: process.env.PATH } }, (error, stdout, stderr) => {
+    resolve({ code: error ? error.code : 0, stdout, stderr });
+  });
+});
+
+test('matches the recorded plan for the fixture data', async () => {
+  const result = await runPlan(planOptions(fixtureValues, {}));
+  assert.deepStrictEqual(JSON.parse(JSON.stringify(result)), expectedPlan);
+});
+
+test('plans a loop through the fixture parks', async () => {
+  const result = await runPlan(planOptions({ ...fixtureValues, loop: '2' }, {}));
+  assert.strictEqual(result.plan.type, 'Loop');
+  assert.ok(result.plan.stops.length > 0);
+  assert.deepStrictEqual(result.route.geometry.coordinates[0], [-117.1611, 32.7157]);
+});
+
+test('rejects bad options', () => {
+  assert.throws(() => planOptions({ lat: '32.7' }, {}), /--lat and --lon/);
+  assert.throws(() => planOptions({ ...fixtureValues, mode: 'skate' }, {}), /--mode/);
+  assert.throws(() => planOptions({ ...fixtureValues, budget: '45' }, {}), /--budget/);
+  assert.throws(() => planOptions({ ...fixtureValues, amenities: 'hot_tub' }, {}), /hot_tub/);
+  assert.throws(() => planOptions({ ...fixtureValues, routing: 'mapbox' }, {}), /MAPBOX_TOKEN/);
+  assert.throws(() => planOptions({ ...fixtureValues, region: 'atlantis' }, {}), /--region must be one of/);
+  assert.throws(() => planOptions({ ...fixtureValues, depart: 'teatime' }, {}), /--depart/);
+  assert.throws(() => planOptions({ ...fixtureValues, lat: '37.77', lon: '-122.42' }, {}), /outside the supported regions/);
+  assert.throws(() => planOptions({ ...fixtureValues, loop: 'abc' }, {}), /--loop must be a positive number/);
+  assert.throws(() => planOptions({ ...fixtureValues, pace: '0' }, {}), /--pace must be a positive number/);
+  assert.throws(() => planOptions({ ...fixtureValues, weight: '-70' }, {}), /--weight must be a positive number/);
+});
+
+test('picks the region from the origin and defaults to its parks file', () => {
+  const { parks, ...values } = fixtureValues;
+  const sanDiego = planOptions(values, {});
+  assert.strictEqual(sanDiego.region.id, 'san-diego');
+  assert.match(sanDiego.parksFile, /Parks_SD\.geojson$/);
+  assert.strictEqual(sanDiego.parksCrs, 'EPSG:2230');
+
+  assert.throws(() => planOptions({ ...values, lat: '34.05', lon: '-118.24' }, {}), /--parks is required for Los Angeles/);
+  assert.strictEqual(planOptions({ ...fixtureValues, lat: '34.05', lon: '-118.24' }, {}).region.id, 'los-angeles');
+});
+
+test('prints plan JSON from the command line', async () => {
+  const args = Object.entries(fixtureValues).flatMap(([key, value]) => [`--${key}`, value]);
+  const { code, stdout } = await runCli(['plan', ...args]);
+  assert.strictEqual(code, 0);
+  assert.strictEqual(JSON.parse(stdout).plan.park.objectid, expectedPlan.plan.park.objectid);
+});
+
+test('exits with usage on bad input and with 1 when nothing is in reach', async () => {
+  const usage = await runCli(['plan', '--lat', '32.7']);
+  assert.strictEqual(usage.code, 2);
+  assert.match(usage.stderr, /Usage: green-routes plan/);
+
+  const badPace = Object.entries({ ...fixtureValues, pace: 'xyz' }).flatMap(([key, value]) => [`--${key}`, value]);
+  const pace = await runCli(['plan', ...badPace]);
+  assert.strictEqual(pace.code, 2);
+  assert.match(pace.stderr, /--pace must be a positive number/);
+
+  const args = Object.entries({ ...fixtureValues, lat: '33.3', lon: '-116.3' }).flatMap(([key, value]) => [`--${key}`, value]);
+  const unreachable = await runCli(['plan', ...args]);
+  assert.strictEqual(unreachable.code, 1);
+  assert.match(unreachable.stderr, /No parks within a 20-minute run/);
+});
@@ -0,0 +1,13 @@
+const path = require('path');
+
+const SRC_DIR = path.join(__dirname, '..', 'src') + path.sep;
+
+// The planner lives in src/ as ES modules for the app bundle; compile those
+// files on the fly so Node can load them.
+process.env.BROWSERSLIST_IGNORE_OLD_DATA = 'true';
+require('@babel/register')({
+  babelrc: false,
+  configFile: false,
+  presets: [[require.resolve('@babel/preset-env'), { targets: { node: 'current' } }]],
+  only: [filename => filename.startsWith(SRC_DIR)],
+});
@@ -0,0 +1,66 @@
+const { buildParkGuidePrompt } = require('./prompt');
+const { DEFAULT_REGION_ID } = require('../src/regions/regions');
+
+const sendJson = (res, status, body, headers = {}) => {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  res.end(JSON.stringify(body));
+};
+
+const clientKey = (req, trustProxy) => {
+  const forwarded = req.headers['x-forwarded-for'];
+  if (trustProxy && forwarded) return forwarded.split(',')[0].trim();
+  return req.socket.remoteAddress;
+};
+
+/**
+ * Builds the request handler. Everything it depends on is passed in so tests
+ * can run it with the stub provider and a fixture park index. `parks` maps
+ * region ids to park indexes (see loadRegionParkIndexes); `region` defaults
+ * to San Diego.
+ *
+ *   GET /api/park-guide?id=<objectid>&region=<id>  ->  { id, region, guide, provider, cached }
+ */
+const createApp = ({ parks, provider, rateLimiter, cache, trustProxy = false }) => async (req, res) => {
+  const url = new URL(req.url, 'http://localhost');
+
+  if (url.pathname !== '/api/park-guide') {
+    sendJson(res, 404, { error: 'Not found' });
+    return;
+  }
+  if (req.method !== 'GET') {
+    sendJson(res, 405, { error: 'Method not allowed' }, { Allow: 'GET' });
+    return;
+  }
+
+  const limit = rateLimiter.hit(clientKey(req, trustProxy));
+  if (!limit.allowed) {
+    sendJson(res, 429, { error: 'Too many requests' }, { 'Retry-After': String(limit.retryAfter) });
+    return;
+  }
+
+  const id = url.searchParams.get('id');
+  const region = url.searchParams.get('region') || DEFAULT_REGION_ID;
+  const park = id && parks.get(region)?.get(id);
+  if (!park) {
+    sendJson(res, 404, { error: `Unknown park id "${id}" in region "${region}"` });
+    return;
+  }
+
+  const cacheKey = `${region}:${id}`;
+  const cached = cache.get(cacheKey);
+  if (cached) {
+    sendJson(res, 200, { id, region, guide: cached, provider: provider.name, cached: true });
+    return;
+  }
+
+  try {
+    const guide = await provider.generate({ prompt: buildParkGuidePrompt(park), park });
+    cache.set(cacheKey, guide);
+    sendJson(res, 200, { id, region, guide, provider: provider.name, cached: false });
+  } catch (error) {
+    console.error('Error generating park guide:', error);
+    sendJson(res, 502, { error: 'Guide provider failed' });
+  }
+};
+
+module.exports = { createApp };
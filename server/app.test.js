@@ -0,0 +1,97 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { createApp } = require('./app');
+const { createProvider } = require('./providers');
+const { createRateLimiter } = require('./rateLimit');
+const { createGuideCache } = require('./guideCache');
+
+const oakPark = { objectid: 1, common_name: 'OAK PARK NP', full_name: 'Oak Neighborhood Park', acres: 3.49, desig_use: 'Neighborhood Park', community: 'MID-CITY', playground: 1, field_lighting: 'N' };
+// Same objectid, different region.
+const elmPark = { objectid: 1, common_name: 'ELM PARK', full_name: 'Elm Park', acres: 12, desig_use: 'Community Park', community: 'ECHO PARK' };
+const parks = new Map([
+  ['san-diego', new Map([['1', oakPark]])],
+  ['los-angeles', new Map([['1', elmPark]])],
+]);
+
+let server;
+let baseUrl;
+let calls = 0;
+
+before(async () => {
+  const stub = createProvider({ provider: 'stub' });
+  const provider = {
+    name: stub.name,
+    generate: (request) => {
+      calls += 1;
+      return stub.generate(request);
+    },
+  };
+
+  server = http.createServer(createApp({
+    parks,
+    provider,
+    rateLimiter: createRateLimiter({ max: 10, windowMs: 60000 }),
+    cache: createGuideCache({ ttlMs: 60000 }),
+  }));
+  await new Promise(resolve => server.listen(0, resolve));
+  baseUrl = `http://localhost:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+test('serves a guide and caches it per park', async () => {
+  const first = await (await fetch(`${baseUrl}/api/park-guide?id=1`)).json();
+  assert.match(first.guide, /^### Oak Neighborhood Park/);
+  assert.strictEqual(first.cached, false);
+
+  const second = await (await fetch(`${baseUrl}/api/park-guide?id=1`)).json();
+  assert.strictEqual(second.cached, true);
+  assert.strictEqual(calls, 1);
+});
+
+test('looks parks up within their region', async () => {
+  const guide = await (await fetch(`${baseUrl}/api/park-guide?id=1&region=los-angeles`)).json();
+  assert.match(guide.guide, /^### Elm Park/);
+  assert.strictEqual(guide.region, 'los-angeles');
+  assert.strictEqual(guide.cached, false);
+});
+
+test('rejects unknown parks and regions', async () => {
+  assert.strictEqual((await fetch(`${baseUrl}/api/park-guide?id=999`)).status, 404);
+  assert.strictEqual((await fetch(`${baseUrl}/api/park-guide?id=1&region=sacramento`)).status, 404);
+});
+
+test('rate limits each client', async () => {
+  const limited = http.createServer(createApp({
+    parks,
+    provider: createProvider({ provider: 'stub' }),
+    rateLimiter: createRateLimiter({ max: 1, windowMs: 60000 }),
+    cache: createGuideCache({ ttlMs: 60000 }),
+  }));
+  await new Promise(resolve => limited.listen(0, resolve));
+  const url = `http://localhost:${limited.address().port}/api/park-guide?id=1`;
+
+  try {
+    assert.strictEqual((await fetch(url)).status, 200);
+    const response = await fetch(url);
+    assert.strictEqual(response.status, 429);
+    assert.ok(Number(response.headers.get('retry-after')) > 0);
+  } finally {
+    await new Promise(resolve => limited.close(resolve));
+  }
+});
+
+test('builds the prompt server-side without unavailable facilities', () => {
+  const { buildParkGuidePrompt } = require('./prompt');
+  const prompt = buildParkGuidePrompt(oakPark);
+  assert.match(prompt, /3\.49-acre Neighborhood Park located in MID-CITY/);
+  assert.match(prompt, /playground: 1/);
+  assert.doesNotMatch(prompt, /field lighting/);
+});
+
+test('indexes the bundled San Diego parks', () => {
+  const { loadRegionParkIndexes } = require('./parks');
+  const indexes = loadRegionParkIndexes();
+  assert.ok(indexes.get('san-diego').size > 0);
+});
@@ -0,0 +1,44 @@
+const fs = require('fs');
+const { parseEnv } = require('util');
+
+const toNumber = (value, fallback) => {
+  const parsed = Number(value);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
+};
+
+/**
+ * Reads server settings from the environment. The provider defaults to the
+ * stub unless one is named, so the server never calls out by accident.
+ */
+const loadConfig = (env = process.env) => ({
+  port: toNumber(env.PORT, 3001),
+  provider: env.LLM_PROVIDER || 'stub',
+  openai: {
+    apiKey: env.OPENAI_API_KEY,
+    model: env.OPENAI_MODEL || 'gpt-4o-mini',
+    endpoint: env.OPENAI_ENDPOINT || 'https://api.openai.com/v1/chat/completions',
+  },
+  local: {
+    endpoint: env.LOCAL_LLM_ENDPOINT || 'http://localhost:11434/v1/chat/completions',
+    model: env.LOCAL_LLM_MODEL || 'llama3.1',
+  },
+  rateLimit: {
+    max: toNumber(env.RATE_LIMIT_MAX, 20),
+    windowMs: toNumber(env.RATE_LIMIT_WINDOW_MS, 60 * 1000),
+  },
+  cacheTtlMs: toNumber(env.GUIDE_CACHE_TTL_MS, 24 * 60 * 60 * 1000),
+  trustProxy: env.TRUST_PROXY === 'true',
+  parksFile: env.PARKS_FILE,
+});
+
+/**
+ * `env` with the settings from an env file (see .env.example) filled in
+ * underneath, so variables set in the shell still win. A missing file is
+ * ignored.
+ */
+const withEnvFile = (file, env = process.env) => {
+  if (!fs.existsSync(file)) return env;
+  return { ...parseEnv(fs.readFileSync(file, 'utf8')), ...env };
+};
+
+module.exports = { loadConfig, withEnvFile };
@@ -0,0 +1,33 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadConfig, withEnvFile } = require('./config');
+const { createProvider } = require('./providers');
+
+const writeEnvFile = (contents) => {
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'green-routes-')), '.env');
+  fs.writeFileSync(file, contents);
+  return file;
+};
+
+test('picks the provider set in the env file', () => {
+  const file = writeEnvFile('LLM_PROVIDER=openai\nOPENAI_API_KEY=sk-test\nRATE_LIMIT_MAX=5\n');
+  const config = loadConfig(withEnvFile(file, {}));
+
+  assert.strictEqual(config.provider, 'openai');
+  assert.strictEqual(config.rateLimit.max, 5);
+  assert.strictEqual(createProvider(config).name, 'openai');
+});
+
+test('lets the shell override the env file', () => {
+  const file = writeEnvFile('LLM_PROVIDER=openai\n');
+  assert.strictEqual(loadConfig(withEnvFile(file, { LLM_PROVIDER: 'local' })).provider, 'local');
+});
+
+test('falls back to the environment without an env file', () => {
+  const env = { LLM_PROVIDER: 'local' };
+  assert.strictEqual(withEnvFile(path.join(os.tmpdir(), 'missing', '.env'), env), env);
+  assert.strictEqual(loadConfig(withEnvFile(path.join(os.tmpdir(), 'missing', '.env'), {})).provider, 'stub');
+});
@@ -0,0 +1,21 @@
+// In-memory guide cache keyed by park objectid, with a TTL per entry.
+const createGuideCache = ({ ttlMs }, now = Date.now) => {
+  const entries = new Map();
+
+  return {
+    get: (key) => {
+      const entry = entries.get(key);
+      if (!entry) return null;
+      if (now() - entry.storedAt >= ttlMs) {
+        entries.delete(key);
+        return null;
+      }
+      return entry.guide;
+    },
+    set: (key, guide) => {
+      entries.set(key, { guide, storedAt: now() });
+    },
+  };
+};
+
+module.exports = { createGuideCache };
@@ -0,0 +1,22 @@
+const http = require('http');
+const path = require('path');
+const { loadConfig, withEnvFile } = require('./config');
+const { loadRegionParkIndexes } = require('./parks');
+const { DEFAULT_REGION_ID } = require('../src/regions/regions');
+const { createProvider } = require('./providers');
+const { createRateLimiter } = require('./rateLimit');
+const { createGuideCache } = require('./guideCache');
+const { createApp } = require('./app');
+
+const config = loadConfig(withEnvFile(path.join(__dirname, '..', '.env')));
+const app = createApp({
+  parks: loadRegionParkIndexes(config.parksFile ? { [DEFAULT_REGION_ID]: config.parksFile } : {}),
+  provider: createProvider(config),
+  rateLimiter: createRateLimiter(config.rateLimit),
+  cache: createGuideCache({ ttlMs: config.cacheTtlMs }),
+  trustProxy: config.trustProxy,
+});
+
+http.createServer(app).listen(config.port, () => {
+  console.log(`Park guide server (${config.provider}) listening on port ${config.port}`);
+});
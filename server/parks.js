@@ -0,0 +1,33 @@
+require('../cli/register');
+
+const fs = require('fs');
+const { REGIONS } = require('../src/regions/regions');
+const { localParksSource } = require('../cli/localData');
+
+/**
+ * Indexes park attributes by objectid. Only the attributes are needed to
+ * build a guide, so State Plane geometry is ignored.
+ */
+const loadParkIndex = (file) => {
+  const collection = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const index = new Map();
+  collection.features.forEach(feature => {
+    if (feature.properties && feature.properties.objectid !== undefined) {
+      index.set(String(feature.properties.objectid), feature.properties);
+    }
+  });
+  return index;
+};
+
+/**
+ * One park index per region id, for every region with a parks file on disk
+ * (see cli/localData). Regions share the SANDAG schema, so objectids are only
+ * unique within a region. `files` replaces the file for a region id.
+ */
+const loadRegionParkIndexes = (files = {}) =>
+  new Map(REGIONS.flatMap(region => {
+    const file = files[region.id] || localParksSource(region)?.file;
+    return file ? [[region.id, loadParkIndex(file)]] : [];
+  }));
+
+module.exports = { loadParkIndex, loadRegionParkIndexes };
@@ -0,0 +1,22 @@
+// The facility list is shared with the app; load its ES modules the way the CLI does.
+require('../cli/register');
+const { FACILITY_FIELDS, hasFacility } = require('../src/parks/facilities');
+
+const buildParkGuidePrompt = (parkInfo) => {
+  const acres = typeof parkInfo.acres === 'number' ? parkInfo.acres.toFixed(2) : 'unknown';
+
+  return `Create a fun, user-readable guide about the following park (2-3 sentences):
+    ${parkInfo.full_name || parkInfo.common_name} is a ${acres}-acre ${parkInfo.desig_use} located in ${parkInfo.community}. 
+    Facilities: ${FACILITY_FIELDS
+      .filter(key => hasFacility(parkInfo, key))
+      .map(key => `${key.replace(/_/g, ' ')}: ${parkInfo[key]}`)
+      .join(', ')}
+    Highlight its main features and why someone might want to visit.
+    This guide is being used to give users an easy, healthy outside plan.
+    Give suggestions about what they can do in the form of a short list, 3-4 bullet points.
+    Format the response using Markdown, including bold text for emphasis and bullet points for listing features. The title should be H3
+
+`;
+};
+
+module.exports = { buildParkGuidePrompt, FACILITY_FIELDS, hasFacility };
@@ -0,0 +1,27 @@
+/**
+ * Calls an OpenAI-compatible chat completions endpoint. Used by both the
+ * OpenAI provider and local model servers (Ollama, llama.cpp, vLLM).
+ */
+const requestChatCompletion = async ({ endpoint, apiKey, model, prompt, maxTokens = 200, fetchImpl = fetch }) => {
+  const headers = { 'Content-Type': 'application/json' };
+  if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+
+  const response = await fetchImpl(endpoint, {
+    method: 'POST',
+    headers,
+    body: JSON.stringify({
+      model,
+      messages: [{ role: 'user', content: prompt }],
+      max_tokens: maxTokens,
+    }),
+  });
+
+  if (!response.ok) {
+    throw new Error(`Chat completion failed with status ${response.status}`);
+  }
+
+  const data = await response.json();
+  return data.choices[0].message.content;
+};
+
+module.exports = { requestChatCompletion };
@@ -0,0 +1,22 @@
+const { createOpenAIProvider } = require('./openai');
+const { createLocalProvider } = require('./local');
+const { createStubProvider } = require('./stub');
+
+/**
+ * Providers implement `generate({ prompt, park })` and resolve to Markdown.
+ * Which one runs is chosen by the LLM_PROVIDER setting.
+ */
+const createProvider = (config, options) => {
+  switch (config.provider) {
+    case 'openai':
+      return createOpenAIProvider(config.openai, options);
+    case 'local':
+      return createLocalProvider(config.local, options);
+    case 'stub':
+      return createStubProvider();
+    default:
+      throw new Error(`Unknown LLM provider "${config.provider}"`);
+  }
+};
+
+module.exports = { createProvider };
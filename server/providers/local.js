@@ -0,0 +1,8 @@
+const { requestChatCompletion } = require('./chatCompletions');
+
+const createLocalProvider = ({ endpoint, model }, { fetchImpl } = {}) => ({
+  name: 'local',
+  generate: ({ prompt }) => requestChatCompletion({ endpoint, model, prompt, fetchImpl }),
+});
+
+module.exports = { createLocalProvider };
@@ -0,0 +1,12 @@
+const { requestChatCompletion } = require('./chatCompletions');
+
+const createOpenAIProvider = ({ apiKey, model, endpoint }, { fetchImpl } = {}) => {
+  if (!apiKey) throw new Error('OPENAI_API_KEY is required for the openai provider');
+
+  return {
+    name: 'openai',
+    generate: ({ prompt }) => requestChatCompletion({ endpoint, apiKey, model, prompt, fetchImpl }),
+  };
+};
+
+module.exports = { createOpenAIProvider };
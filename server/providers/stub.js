@@ -0,0 +1,19 @@
+// Canned guide for development and tests; never touches the network.
+const createStubProvider = () => ({
+  name: 'stub',
+  generate: async ({ park }) => {
+    const name = park.full_name || park.common_name || 'This park';
+    const place = park.community ? ` in ${park.community}` : '';
+
+    return `### ${name}
+
+**${name}** is a friendly spot${place} for a healthy break outside.
+
+- **Take a walk** around the grounds
+- **Stretch** on the grass
+- **Bring a friend** and enjoy the fresh air
+`;
+  },
+});
+
+module.exports = { createStubProvider };
@@ -0,0 +1,37 @@
+/**
+ * Fixed-window rate limiter keyed by client. `hit(key)` records a request and
+ * returns `{ allowed, retryAfter }`, where `retryAfter` is in seconds.
+ * Expired windows are swept at most once per window, so clients that stop
+ * calling don't stay in memory.
+ */
+const createRateLimiter = ({ max, windowMs }, now = Date.now) => {
+  const windows = new Map();
+  let lastSweep = now();
+
+  const sweep = (time) => {
+    if (time - lastSweep < windowMs) return;
+    lastSweep = time;
+    windows.forEach((window, key) => {
+      if (time - window.start >= windowMs) windows.delete(key);
+    });
+  };
+
+  return {
+    hit: (key) => {
+      const time = now();
+      sweep(time);
+      let window = windows.get(key);
+      if (!window || time - window.start >= windowMs) {
+        window = { start: time, count: 0 };
+        windows.set(key, window);
+      }
+
+      window.count += 1;
+      if (window.count <= max) return { allowed: true, retryAfter: 0 };
+      return { allowed: false, retryAfter: Math.ceil((window.start + windowMs - time) / 1000) };
+    },
+    size: () => windows.size,
+  };
+};
+
+module.exports = { createRateLimiter };
@@ -0,0 +1,27 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { createRateLimiter } = require('./rateLimit');
+
+test('allows max requests per window', () => {
+  let time = 0;
+  const limiter = createRateLimiter({ max: 2, windowMs: 1000 }, () => time);
+
+  assert.strictEqual(limiter.hit('a').allowed, true);
+  assert.strictEqual(limiter.hit('a').allowed, true);
+  assert.deepStrictEqual(limiter.hit('a'), { allowed: false, retryAfter: 1 });
+  assert.strictEqual(limiter.hit('b').allowed, true);
+
+  time = 1000;
+  assert.strictEqual(limiter.hit('a').allowed, true);
+});
+
+test('forgets clients whose window has expired', () => {
+  let time = 0;
+  const limiter = createRateLimiter({ max: 1, windowMs: 1000 }, () => time);
+  ['a', 'b', 'c'].forEach(key => limiter.hit(key));
+  assert.strictEqual(limiter.size(), 3);
+
+  time = 1500;
+  limiter.hit('d');
+  assert.strictEqual(limiter.size(), 1);
+});
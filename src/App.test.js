@@ -1,8 +1,111 @@
-import { render, screen } from '@testing-library/react';
+import { fireEvent, render, screen } from '@testing-library/react';
 import App from './App';
 
-test('renders learn react link', () => {
+// mapbox-gl needs WebGL and jest can't load the worker client (import.meta),
+// so these are stubbed; the data services are offline.
+jest.mock('react-map-gl', () => {
+  const React = require('react');
+  const Passthrough = ({ children }) => <>{children}</>;
+  return {
+    __esModule: true,
+    default: React.forwardRef(({ children }, ref) => <div data-testid="map">{children}</div>),
+    Source: Passthrough,
+    Layer: () => null,
+    Marker: Passthrough,
+    Popup: Passthrough,
+  };
+});
+jest.mock('react-markdown', () => ({ children }) => children);
+jest.mock('./analysis/analysisClient', () => ({
+  createAnalysisClient: () => require('./analysis/analysis').createInlineAnalysis(),
+}));
+jest.mock('axios');
+
+beforeEach(() => {
+  global.fetch = jest.fn().mockRejectedValue(new Error('offline'));
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  console.error.mockRestore();
+  delete process.env.REACT_APP_PARKS_SOURCE;
+});
+
+test('renders the map and the planning controls', async () => {
+  render(<App />);
+
+  expect(screen.getByRole('heading', { name: 'Green Routes' })).toBeInTheDocument();
+  expect(screen.getByTestId('map')).toBeInTheDocument();
+  expect(screen.getByPlaceholderText('Start from an address or place')).toBeInTheDocument();
+  expect(screen.getByRole('button', { name: 'Plan a loop' })).toBeInTheDocument();
+  expect(screen.getByRole('combobox', { name: 'Region:' })).toHaveValue('san-diego');
+  expect(await screen.findByText(/Search for a starting point or set it on the map/)).toBeInTheDocument();
+});
+
+test('says when an HPI indicator fails to load', async () => {
+  render(<App />);
+
+  fireEvent.change(screen.getByDisplayValue('Clean environment'), { target: { value: 'hpi' } });
+  expect(await screen.findByText(/Couldn't load Overall HPI score for 2019/)).toBeInTheDocument();
+  expect(screen.queryByText(/loading…/)).toBeNull();
+
+  fireEvent.change(screen.getByDisplayValue('Overall HPI score'), { target: { value: 'clean_enviro' } });
+  expect(screen.queryByText(/Couldn't load/)).toBeNull();
+});
+
+test('goes back to the previous region when a region has no parks data', async () => {
+  render(<App />);
+
+  fireEvent.change(screen.getByRole('combobox', { name: 'Region:' }), { target: { value: 'los-angeles' } });
+  expect(await screen.findByText(/Los Angeles parks data isn't available here yet, so the map is back on San Diego/)).toBeInTheDocument();
+  expect(screen.getByRole('combobox', { name: 'Region:' })).toHaveValue('san-diego');
+  expect(screen.getByRole('option', { name: 'Los Angeles (no data)' })).toBeDisabled();
+});
+
+test('explains an empty park access analysis without HPI tracts', async () => {
+  // Skips the FeatureServer retries so the parks settle quickly.
+  process.env.REACT_APP_PARKS_SOURCE = 'bundled';
+  render(<App />);
+
+  fireEvent.click(screen.getByRole('button', { name: 'Park access analysis' }));
+  expect(await screen.findByText(/Park access needs Healthy Places Index tracts/)).toBeInTheDocument();
+  expect(screen.queryByText('Analyzing tracts…')).toBeNull();
+  expect(screen.getByRole('button', { name: 'Download CSV' })).toBeDisabled();
+});
+
+test('keeps the last valid pace, weight and loop length', () => {
+  render(<App />);
+
+  const pace = screen.getByRole('spinbutton', { name: /Pace/ });
+  const before = pace.value;
+  fireEvent.change(pace, { target: { value: '' } });
+  fireEvent.change(pace, { target: { value: '-3' } });
+  expect(pace).toHaveValue(Number(before));
+  fireEvent.change(pace, { target: { value: '12.5' } });
+  expect(pace).toHaveValue(12.5);
+
+  const weight = screen.getByRole('spinbutton', { name: /Weight/ });
+  fireEvent.change(weight, { target: { value: '0' } });
+  expect(weight.value).not.toBe('0');
+
+  const loop = screen.getByDisplayValue('5');
+  fireEvent.change(loop, { target: { value: '' } });
+  expect(loop).toHaveValue(5);
+});
+
+test('locates the user on reload unless the link has a park plan', () => {
+  const getCurrentPosition = jest.fn();
+  Object.defineProperty(navigator, 'geolocation', { value: { getCurrentPosition }, configurable: true });
+
+  window.history.replaceState(null, '', '/?from=-117.16,32.71&region=san-diego');
+  const { unmount } = render(<App />);
+  expect(getCurrentPosition).toHaveBeenCalledTimes(1);
+  unmount();
+
+  window.history.replaceState(null, '', '/?from=-117.16,32.71&park=7&region=san-diego');
   render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+  expect(getCurrentPosition).toHaveBeenCalledTimes(1);
+
+  window.history.replaceState(null, '', '/');
+  delete navigator.geolocation;
 });
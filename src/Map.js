@@ -1,165 +1,293 @@
-import React, { useState, useEffect, useCallback } from 'react';
-import Map, { Source, Layer, Marker, useMap } from 'react-map-gl';
-import axios from 'axios';
-import { center, point, buffer, booleanPointInPolygon } from '@turf/turf';
+import React, { useState, useEffect, useCallback, useMemo, useRef } from 'react';
+import Map, { Source, Layer, Marker } from 'react-map-gl';
+import { center, bbox, lineString, multiPoint, booleanIntersects } from '@turf/turf';
 import 'mapbox-gl/dist/mapbox-gl.css';
-import bikePathsData from './geo_data/bike_routes_datasd.geojson';
 import ReactMarkdown from 'react-markdown';
-
-const SD_BOUNDS = [-117.6, 32.5, -116.1, 33.5]; // [west, south, east, north]
-const CHATGPT_API_ENDPOINT = 'https://api.openai.com/v1/chat/completions';
+import DirectionsList from './routing/DirectionsList';
+import DaylightNote from './planning/DaylightNote';
+import MeetupPanel from './planning/MeetupPanel';
+import { personColor } from './planning/meetup';
+import { createMapboxRouting, withOfflineFallback } from './routing/providers';
+import { createAnalysisClient } from './analysis/analysisClient';
+import ParkAccessPanel from './analysis/ParkAccessPanel';
+import {
+  DEFAULT_ACCESS_DISTANCE,
+  accessClasses,
+  accessColorExpression,
+  parkAccessToCsv,
+} from './analysis/parkAccess';
+import ParkPopup from './parks/ParkPopup';
+import { createServerGuides } from './parks/guides';
+import LocationSearch from './location/LocationSearch';
+import { buildGazetteer } from './location/gazetteer';
+import { createMapboxGeocoder } from './location/geocoder';
+import LayerControl from './layers/LayerControl';
+import { loadParks } from './data/parksSource';
+import { loadGeojsonSource } from './data/geojsonSource';
+import { fetchHpiTracts } from './data/hpi';
+import { isWithinBounds } from './data/bounds';
+import { REGIONS, DEFAULT_REGION_ID, findRegion, regionForPoint, regionViewport } from './regions/regions';
+import { DEFAULT_INDICATOR, DEFAULT_YEAR, percentileColorExpression } from './layers/hpiIndicators';
+import {
+  TRAVEL_MODES,
+  DEFAULT_PACES,
+  DEFAULT_WEIGHT_KG,
+  METERS_PER_MILE,
+  estimateTrip,
+  formatDuration,
+  formatDistance,
+} from './planning/travelModes';
+import { encodePlanState, decodePlanState } from './planning/shareLink';
+import { createPlanner } from './planning/planner';
+import { ISOCHRONE_MINUTES, bandForBudget } from './planning/isochrones';
+import {
+  planWaypoints,
+  planTitle,
+  routeToGeoJSON,
+  routeToGpx,
+  routeToKml,
+  planToIcs,
+  exportFilename,
+  downloadFile,
+} from './planning/exports';
+import { AMENITY_FILTERS, amenityFilterExpression, matchesAmenities } from './parks/facilities';
+import { parkKey } from './parks/identity';
+import JournalPanel from './history/JournalPanel';
+import OfflineBanner from './offline/OfflineBanner';
+import { useOnlineStatus } from './offline/useOnlineStatus';
+import { useJournal } from './history/useJournal';
+import {
+  journalEntry,
+  addPlan,
+  removePlan,
+  setPlanCompleted,
+  isFavorite,
+  toggleFavorite,
+  removeFavorite,
+  setGoal,
+  visitedParkKeys,
+  planFromEntry,
+} from './history/journal';
+
+const KM_PER_MILE = 1.60934;
+const PARK_GUIDE_ENDPOINT = '/api/park-guide';
 
 const MAPBOX_TOKEN = process.env.REACT_APP_MAPBOX_TOKEN;
-const CHATGPT_API_KEY = process.env.REACT_APP_CHATGPT_API_KEY;
+
+// Place search runs offline against the park gazetteer; set REACT_APP_GEOCODER=mapbox
+// to add Mapbox geocoding results on top.
+const USE_MAPBOX_GEOCODER = process.env.REACT_APP_GEOCODER === 'mapbox';
+
+// Change handler for the pace, weight and loop fields: an emptied field, zero
+// or a negative number keeps the last valid value.
+const onPositiveNumber = (update) => (e) => {
+  const value = Number(e.target.value);
+  if (Number.isFinite(value) && value > 0) update(value);
+};
 
 const MapComponent = () => {
-  const [viewport, setViewport] = useState({
-    latitude: 32.7157,
-    longitude: -117.1611,
-    zoom: 10,
+  // A shared link (see planning/shareLink) seeds the initial state. The address
+  // bar always carries the current start, so its `from` only replaces the
+  // device location when there is a park plan to rebuild from it.
+  const [sharedPlan] = useState(() => {
+    const { origin, ...state } = decodePlanState(window.location.search);
+    return state.parkId ? { ...state, origin } : state;
   });
+  const [regionId, setRegionId] = useState(() =>
+    sharedPlan.region || (sharedPlan.origin && regionForPoint(sharedPlan.origin)?.id) || DEFAULT_REGION_ID
+  );
+  const region = findRegion(regionId);
+  const [viewport, setViewport] = useState(sharedPlan.viewport || regionViewport(region));
   const [environmentalData, setEnvironmentalData] = useState(null);
   const [bikePaths, setBikePaths] = useState(null);
   const [parks, setParks] = useState(null);
-  const [userLocation, setUserLocation] = useState(null);
+  const [parksSource, setParksSource] = useState(null);
+  // Regions whose parks couldn't be loaded, and the last region whose could.
+  const [unavailableRegions, setUnavailableRegions] = useState([]);
+  const fallbackRegionRef = useRef(DEFAULT_REGION_ID);
+  const [userLocation, setUserLocation] = useState(sharedPlan.origin || null);
   const [healthyPlan, setHealthyPlan] = useState(null);
-
-  // const [highlightedTrail, setHighlightedTrail] = useState(null);
-  const [bikePathsContent, setBikePathsContent] = useState(null);
-
-  const [selectedParkId, setSelectedParkId] = useState(null);
+  const [recommendations, setRecommendations] = useState([]);
+  const [amenities, setAmenities] = useState(sharedPlan.amenities || []);
+  const [planError, setPlanError] = useState(null);
+  const [inspectedPark, setInspectedPark] = useState(null);
+  const [cursor, setCursor] = useState('');
+  const [locationError, setLocationError] = useState(null);
+  const [pickingOrigin, setPickingOrigin] = useState(false);
+
+  const [selectedParkIds, setSelectedParkIds] = useState([]);
   const [route, setRoute] = useState(null);
-
-  useEffect(() => {
-    const fetchBikePathsData = async () => {
-      try {
-        const response = await fetch('/bike_routes_datasd.geojson');
-        const data = await response.json();
-        setBikePathsContent(data);
-      } catch (error) {
-        console.error('Error fetching bike paths data:', error);
-      }
-    };
-
-    fetchBikePathsData();
-  }, []);
-
-  const isWithinSanDiego = useCallback(([lon, lat]) => {
-    return lon >= SD_BOUNDS[0] && lon <= SD_BOUNDS[2] &&
-           lat >= SD_BOUNDS[1] && lat <= SD_BOUNDS[3];
+  const [routePreference, setRoutePreference] = useState(sharedPlan.preference || 'protected');
+  const [detourTolerance, setDetourTolerance] = useState(0.2);
+  const [eveningMode, setEveningMode] = useState(false);
+  const [journal, updateJournal] = useJournal();
+  const online = useOnlineStatus();
+  const [skipVisited, setSkipVisited] = useState(false);
+  const [travelMode, setTravelMode] = useState(sharedPlan.mode || 'walk');
+  const [paces, setPaces] = useState(DEFAULT_PACES);
+  const [weightKg, setWeightKg] = useState(DEFAULT_WEIGHT_KG);
+  const [activeStep, setActiveStep] = useState(null);
+  const [loopTarget, setLoopTarget] = useState(5);
+  const [loopUnit, setLoopUnit] = useState('km');
+  const [guideMode, setGuideMode] = useState('ai');
+  const [layerVisibility, setLayerVisibility] = useState({
+    tracts: true,
+    bikePaths: true,
+    parks: true,
+    route: true,
+    reach: true,
+  });
+  const [hpiIndicator, setHpiIndicator] = useState(DEFAULT_INDICATOR);
+  const [hpiYear, setHpiYear] = useState(DEFAULT_YEAR);
+  const [indicatorData, setIndicatorData] = useState(null);
+  const [indicatorLoading, setIndicatorLoading] = useState(false);
+  const [indicatorFailed, setIndicatorFailed] = useState(false);
+  const [loaded, setLoaded] = useState({});
+  const [linkCopied, setLinkCopied] = useState(false);
+  const [timeBudget, setTimeBudget] = useState(20);
+  const [isochrones, setIsochrones] = useState(null);
+  const [accessOpen, setAccessOpen] = useState(false);
+  const [accessDistance, setAccessDistance] = useState(DEFAULT_ACCESS_DISTANCE);
+  const [accessMetric, setAccessMetric] = useState('reachableAcres');
+  const [accessRows, setAccessRows] = useState(null);
+  const [accessError, setAccessError] = useState(null);
+  const [meetupOrigins, setMeetupOrigins] = useState([]);
+  const [pickingMeetup, setPickingMeetup] = useState(false);
+  const [fairness, setFairness] = useState('worst');
+  const [meetup, setMeetup] = useState(null);
+  // Planning runs through the headless planner (see planning/planner), with
+  // park ranking in a Web Worker (see analysis/analysisClient).
+  const plannerRef = useRef(null);
+  if (!plannerRef.current) {
+    plannerRef.current = createPlanner({
+      routing: withOfflineFallback(createMapboxRouting(MAPBOX_TOKEN)),
+      guides: createServerGuides(PARK_GUIDE_ENDPOINT),
+      analysis: createAnalysisClient(),
+    });
+  }
+
+  const markLoaded = useCallback((source) => {
+    setLoaded(current => ({ ...current, [source]: true }));
   }, []);
 
-  const generateParkGuide = useCallback(async (park) => {
-    const parkInfo = park.properties;
-    const prompt = `Create a fun, user-readable guide about the following park (2-3 sentences):
-    ${parkInfo.full_name || parkInfo.common_name} is a ${parkInfo.acres.toFixed(2)}-acre ${parkInfo.desig_use} located in ${parkInfo.community}. 
-    Facilities: ${Object.entries(parkInfo)
-      .filter(([key, value]) => ['tennis', 'basketball', 'playground', 'baseball_90', 'baseball_50_6', 'softball', 'sand_vball', 'multi_purpose', 'concession_stand', 'comfort_station', 'field_lighting', 'recycled_water'].includes(key) && value)
-      .map(([key, value]) => `${key.replace(/_/g, ' ')}: ${value}`)
-      .join(', ')}
-    Highlight its main features and why someone might want to visit.
-    This guide is being used to give users an easy, healthy outside plan.
-    Give suggestions about what they can do in the form of a short list, 3-4 bullet points.
-    Format the response using Markdown, including bold text for emphasis and bullet points for listing features. The title should be H3
-
-`;
-
+  const fetchEnvironmentalData = useCallback(async ({ indicator = DEFAULT_INDICATOR, year = DEFAULT_YEAR } = {}) => {
     try {
-      const response = await axios.post(
-        CHATGPT_API_ENDPOINT,
-        {
-          model: "gpt-4o-mini",
-          messages: [{ role: "user", content: prompt }],
-          max_tokens: 200,
-        },
-        {
-          headers: {
-            'Authorization': `Bearer ${CHATGPT_API_KEY}`,
-            'Content-Type': 'application/json',
-          },
-        }
-      );
-
-      return response.data.choices[0].message.content;
+      return await fetchHpiTracts({
+        indicator,
+        year,
+        key: process.env.REACT_APP_HPI_API_KEY,
+        region,
+      });
     } catch (error) {
-      console.error('Error generating park guide:', error);
-      return 'Sorry, we couldn\'t generate a guide for this park at the moment.';
+      console.error('Error fetching environmental data', error);
+      return null;
     }
+  }, [region]);
 
-  }, []);
-
-  const fetchEnvironmentalData = useCallback(async () => {
-    try {
-      const response = await axios.get('https://api.healthyplacesindex.org/api/hpi', {
-        params: {
-          geography: 'tracts',
-          year: '2019',
-          indicator: 'clean_enviro',
-          format: 'geojson',
-          key: process.env.REACT_APP_HPI_API_KEY
-        }
-      });
+  // Everything below is loaded per region (see regions/); a region switch
+  // clears it first (see changeRegion).
+  useEffect(() => {
+    let cancelled = false;
+    const whenCurrent = (update) => (value) => {
+      if (!cancelled) update(value);
+    };
 
-      const sdFeatures = response.data.features.filter(feature => {
-        const polygonCenter = center(feature);
-        return isWithinSanDiego(polygonCenter.geometry.coordinates);
-      });
+    fetchEnvironmentalData()
+      .then(whenCurrent(data => {
+        if (!data) return;
+        setEnvironmentalData(data);
+        plannerRef.current.setTracts(data);
+      }))
+      .finally(whenCurrent(() => markLoaded('tracts')));
+
+    (region.bikeNetwork ? loadGeojsonSource(region.bikeNetwork) : Promise.resolve(null))
+      .then(whenCurrent(data => {
+        setBikePaths(data);
+        plannerRef.current.setBikePaths(data);
+      }))
+      .catch(error => console.error('Error fetching bike paths data:', error))
+      .finally(whenCurrent(() => markLoaded('bikePaths')));
+
+    loadParks(region, { source: process.env.REACT_APP_PARKS_SOURCE })
+      .then(whenCurrent(({ collection, label }) => {
+        fallbackRegionRef.current = region.id;
+        setParks(collection);
+        setParksSource(label);
+        plannerRef.current.setParks(collection);
+      }))
+      .catch(whenCurrent(error => {
+        console.error('Error fetching parks', error);
+        setPlanError(error.message);
+        setUnavailableRegions(current => (current.includes(region.id) ? current : [...current, region.id]));
+      }))
+      .finally(whenCurrent(() => markLoaded('parks')));
+
+    return () => {
+      cancelled = true;
+    };
+  }, [region, fetchEnvironmentalData, markLoaded]);
 
-      setEnvironmentalData({
-        type: 'FeatureCollection',
-        features: sdFeatures
-      });
-    } catch (error) {
-      console.error('Error fetching environmental data', error);
-    }
-  }, [isWithinSanDiego]);
+  const geocoder = useMemo(
+    () => (USE_MAPBOX_GEOCODER ? createMapboxGeocoder(MAPBOX_TOKEN, region.bounds) : null),
+    [region]
+  );
 
-  const loadBikePaths = useCallback(() => {
-    setBikePaths(bikePathsData);
+  const mapRef = useRef(null);
+
+  const changeRegion = useCallback((id) => {
+    setRegionId(id);
+    setLoaded({});
+    setEnvironmentalData(null);
+    setIndicatorData(null);
+    setBikePaths(null);
+    setParks(null);
+    setParksSource(null);
+    setHealthyPlan(null);
+    setRoute(null);
+    setRecommendations([]);
+    setSelectedParkIds([]);
+    setInspectedPark(null);
+    setPlanError(null);
+    setMeetupOrigins([]);
+    setMeetup(null);
+    plannerRef.current.setTracts(null);
+    plannerRef.current.setBikePaths(null);
+    plannerRef.current.setParks(null);
   }, []);
 
-  const fetchParks = useCallback(async () => {
-    try {
-      const response = await axios.get('https://geo.sandag.org/server/rest/services/Hosted/Parks_SD/FeatureServer/0/query', {
-        params: {
-          where: '1=1',
-          outFields: '*',
-          outSR: '4326',
-          f: 'json'
-        }
-      });
-
-      const features = response.data.features
-        .map(feature => ({
-          type: 'Feature',
-          geometry: {
-            type: 'Polygon',
-            coordinates: feature.geometry.rings
-          },
-          properties: feature.attributes
-        }))
-        .filter(feature => {
-          const polygonCenter = center(feature);
-          return isWithinSanDiego(polygonCenter.geometry.coordinates);
-        });
-
-      setParks({
-        type: 'FeatureCollection',
-        features: features
-      });
-    } catch (error) {
-      console.error('Error fetching parks', error);
+  const flyToRegion = useCallback((next) => {
+    const map = mapRef.current;
+    if (map) {
+      map.flyTo({ center: next.center, zoom: next.zoom, duration: 1500 });
+    } else {
+      setViewport(regionViewport(next));
     }
-  }, [isWithinSanDiego]);
+  }, []);
 
+  // Picking a region by hand moves the map there and drops a start outside it.
+  const selectRegion = useCallback((id) => {
+    const next = findRegion(id);
+    changeRegion(id);
+    if (userLocation && !isWithinBounds(userLocation, next.bounds)) setUserLocation(null);
+    flyToRegion(next);
+  }, [changeRegion, flyToRegion, userLocation]);
 
+  // A start in another supported region switches to that region, unless its
+  // data is missing.
   useEffect(() => {
-    fetchEnvironmentalData();
-    loadBikePaths();
-    fetchParks();
-  }, [fetchEnvironmentalData, loadBikePaths, fetchParks]);
+    const detected = userLocation && regionForPoint(userLocation);
+    if (detected && detected.id !== regionId && !unavailableRegions.includes(detected.id)) changeRegion(detected.id);
+  }, [userLocation, regionId, unavailableRegions, changeRegion]);
 
-  const { current: map } = useMap();
+  // A region without parks data goes back to the last region that had them.
+  useEffect(() => {
+    const fallback = findRegion(fallbackRegionRef.current);
+    if (!unavailableRegions.includes(regionId) || fallback.id === regionId) return;
+
+    changeRegion(fallback.id);
+    setPlanError(`${region.name} parks data isn't available here yet, so the map is back on ${fallback.name}.`);
+    flyToRegion(fallback);
+  }, [unavailableRegions, regionId, region, changeRegion, flyToRegion]);
 
   const getUserLocation = useCallback(() => {
     if (navigator.geolocation) {
@@ -175,288 +303,592 @@ const MapComponent = () => {
         },
         (error) => {
           console.error("Error getting user location:", error);
+          setLocationError('We couldn\'t get your location. Search for a starting point or set it on the map.');
         }
       );
     } else {
       console.error("Geolocation is not supported by this browser.");
+      setLocationError('Location isn\'t available in this browser. Search for a starting point or set it on the map.');
     }
   }, []);
 
+  const setOrigin = useCallback((coordinates) => {
+    setUserLocation(coordinates);
+    setLocationError(null);
+    setPlanError(null);
+  }, []);
+
+  const selectPlace = useCallback((place) => {
+    setOrigin(place.coordinates);
+    const map = mapRef.current;
+    if (map) {
+      map.flyTo({ center: place.coordinates, zoom: 14, duration: 1500 });
+    } else {
+      setViewport(current => ({
+        ...current,
+        longitude: place.coordinates[0],
+        latitude: place.coordinates[1],
+        zoom: 14,
+      }));
+    }
+  }, [setOrigin]);
+
+  const gazetteer = useMemo(() => buildGazetteer(parks), [parks]);
+
   useEffect(() => {
-    getUserLocation();
-  }, [getUserLocation]);
-
-  const findBestEnvironmentalParcel = useCallback(() => {
-    if (!userLocation || !environmentalData || !parks) return null;
-  
-    const userPoint = point(userLocation);
-    const buffer2Miles = buffer(userPoint, 2, { units: 'miles' });
-  
-    const parcelsInRange = environmentalData.features
-      .filter(feature => booleanPointInPolygon(center(feature), buffer2Miles))
-      .sort((a, b) => b.properties.percentile - a.properties.percentile);
-  
-    for (const parcel of parcelsInRange) {
-      const parksInParcel = parks.features.filter(park => 
-        booleanPointInPolygon(center(park), parcel)
-      );
-  
-      if (parksInParcel.length > 0) {
-        return parcel;
-      }
+    // A shared link's origin wins over the device location.
+    if (!sharedPlan.origin) getUserLocation();
+  }, [getUserLocation, sharedPlan]);
+
+  const isDefaultIndicator = hpiIndicator === DEFAULT_INDICATOR && hpiYear === DEFAULT_YEAR;
+
+  // Other indicators/years are fetched for display only; planning keeps using
+  // the clean_enviro tracts in `environmentalData`.
+  useEffect(() => {
+    setIndicatorFailed(false);
+    if (isDefaultIndicator) {
+      setIndicatorData(null);
+      return undefined;
     }
-  
-    return null;
-  }, [userLocation, environmentalData, parks]);
-
-  // const findNearestTrail = useCallback((start, end) => {
-  //   if (!bikePathsContent || !bikePathsContent.features) return null;
-
-  //   let nearestTrail = null;
-  //   let minDistance = Infinity;
-
-  //   const startPoint = point(start);
-  //   const endPoint = point(end);
-
-  //   bikePathsContent.features.forEach(trail => {
-  //     const coordinates = trail.geometry.coordinates;
-  //     const trailStart = coordinates[0];
-  //     const trailEnd = coordinates[coordinates.length - 1];
-
-  //             // Handle case where trailEnd is an array of coordinates
-  //             const trailEndCoord = Array.isArray(trailEnd[0]) ? trailEnd[trailEnd.length - 1] : trailEnd;
-  //             const trailStartCoord = Array.isArray(trailStart[0]) ? trailStart[trailStart.length - 1] : trailStart;
-
-  //     const trailStartPoint = point(trailStartCoord);
-  //     const trailEndPoint = point(trailEndCoord);
-
-  //     const distanceToStart = distance(startPoint, trailStartPoint);
-  //     const distanceToEnd = distance(endPoint, trailEndPoint);
-  //     const totalDistance = distanceToStart + distanceToEnd;
-
-  //     if (totalDistance < minDistance) {
-  //       minDistance = totalDistance;
-  //       nearestTrail = trail;
-  //     }
-  //   });
-
-  //   return nearestTrail;
-  // }, [bikePathsContent]);
-
-  // const ensurePoint = (coord) => {
-  //   if (coord.type === 'Feature' && coord.geometry.type === 'Point') {
-  //     return coord;
-  //   } else if (Array.isArray(coord) && coord.length === 2) {
-  //     return point(coord);
-  //   } else {
-  //     console.error('Invalid coordinate', coord);
-  //     return null;
-  //   }
-  // };
-
-  // const highlightTrail = useCallback((trail, start, end) => {
-  //   try {
-  //     // Ensure trail is a valid GeoJSON LineString
-  //     if (trail.type !== 'Feature' || trail.geometry.type !== 'LineString') {
-  //       console.error('Invalid trail object', trail);
-  //       return null;
-  //     }
-
-  //     const coordinates = trail.geometry.coordinates;
-  //     if (coordinates.length < 2) {
-  //       console.error('Not enough coordinates in the trail');
-  //       return null;
-  //     }
-
-  //     // Ensure start and end are valid GeoJSON Point features
-  //     const startPoint = ensurePoint(start);
-  //     const endPoint = ensurePoint(end);
-
-  //     if (!startPoint || !endPoint) {
-  //       console.error('Invalid start or end point');
-  //       return null;
-  //     }
-
-  //     // Create a FeatureCollection of points from the trail coordinates
-  //     const pointsCollection = featureCollection(
-  //       coordinates.map(coord => point(coord))
-  //     );
-
-  //     const nearestStartPoint = nearestPoint(startPoint, pointsCollection);
-  //     const nearestEndPoint = nearestPoint(endPoint, pointsCollection);
-
-  //     if (!nearestStartPoint || !nearestEndPoint) {
-  //       console.error('Could not find nearest points on the trail');
-  //       return null;
-  //     }
-
-  //     const startIndex = coordinates.findIndex(coord => 
-  //       coord[0] === nearestStartPoint.geometry.coordinates[0] && 
-  //       coord[1] === nearestStartPoint.geometry.coordinates[1]
-  //     );
-  //     const endIndex = coordinates.findIndex(coord => 
-  //       coord[0] === nearestEndPoint.geometry.coordinates[0] && 
-  //       coord[1] === nearestEndPoint.geometry.coordinates[1]
-  //     );
-
-  //     if (startIndex === -1 || endIndex === -1) {
-  //       console.error('Could not find start or end index in coordinates');
-  //       return null;
-  //     }
-
-  //     const slicedCoordinates = coordinates.slice(
-  //       Math.min(startIndex, endIndex),
-  //       Math.max(startIndex, endIndex) + 1
-  //     );
-
-  //     return {
-  //       type: 'Feature',
-  //       properties: { ...trail.properties, highlighted: true },
-  //       geometry: {
-  //         type: 'LineString',
-  //         coordinates: slicedCoordinates
-  //       }
-  //     };
-  //   } catch (error) {
-  //     console.error('Error in highlightTrail:', error);
-  //     return null;
-  //   }
-  // }, []);
-
-  const findBiggestParkOrTrail = useCallback((parcel) => {
-    if (!parks || !bikePaths) return null;
-
-    const parksInParcel = parks.features.filter(park => 
-      booleanPointInPolygon(center(park), parcel)
+
+    let cancelled = false;
+    setIndicatorLoading(true);
+    fetchEnvironmentalData({ indicator: hpiIndicator, year: hpiYear }).then(data => {
+      if (cancelled) return;
+      setIndicatorData(data);
+      setIndicatorFailed(!data);
+      setIndicatorLoading(false);
+    });
+
+    // A superseded fetch must not leave the panel loading.
+    return () => {
+      cancelled = true;
+      setIndicatorLoading(false);
+    };
+  }, [isDefaultIndicator, hpiIndicator, hpiYear, fetchEnvironmentalData]);
+
+  const pace = paces[travelMode];
+
+  // Reachability bands follow the street network; debounced because the pace
+  // input changes on every keystroke.
+  useEffect(() => {
+    if (!userLocation) {
+      setIsochrones(null);
+      return undefined;
+    }
+
+    let cancelled = false;
+    const timeout = setTimeout(async () => {
+      try {
+        const bands = await plannerRef.current.reach(userLocation, { mode: travelMode, pace });
+        if (!cancelled) setIsochrones(bands);
+      } catch (error) {
+        console.error('Error computing reachability bands:', error);
+        if (!cancelled) setIsochrones(null);
+      }
+    }, 300);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timeout);
+    };
+  }, [userLocation, travelMode, pace]);
+
+  // Tracts outside the time budget are dimmed.
+  const displayedTracts = useMemo(() => {
+    const tracts = isDefaultIndicator ? environmentalData : indicatorData;
+    const budgetBand = bandForBudget(isochrones, timeBudget);
+    if (!tracts || !budgetBand) return tracts;
+
+    return {
+      ...tracts,
+      features: tracts.features.map(tract => ({
+        ...tract,
+        properties: { ...tract.properties, reachable: booleanIntersects(tract, budgetBand) },
+      })),
+    };
+  }, [isDefaultIndicator, environmentalData, indicatorData, isochrones, timeBudget]);
+
+  // The gap analysis reruns once the region's tracts and parks are in the
+  // planner, and whenever its distance or the amenity filters change.
+  const accessReady = Boolean(loaded.tracts && loaded.parks);
+  useEffect(() => {
+    setAccessRows(null);
+    setAccessError(null);
+    if (!accessOpen || !accessReady) return undefined;
+
+    let cancelled = false;
+    plannerRef.current.parkAccess({ distance: accessDistance, amenities })
+      .then(rows => {
+        if (!cancelled) setAccessRows(rows);
+      })
+      .catch(error => {
+        console.error('Error analyzing park access:', error);
+        if (!cancelled) setAccessError(`Couldn't analyze park access: ${error.message}`);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [accessOpen, accessReady, accessDistance, amenities]);
+
+  // Without HPI tracts there is nothing to analyze.
+  const missingTracts = accessReady && !environmentalData && (process.env.REACT_APP_HPI_API_KEY
+    ? `Couldn't load the Healthy Places Index tracts for ${region.name}.`
+    : 'Park access needs Healthy Places Index tracts. Set REACT_APP_HPI_API_KEY to load them.');
+
+  const accessLegend = useMemo(
+    () => (accessRows ? accessClasses(accessRows, accessMetric) : null),
+    [accessRows, accessMetric]
+  );
+
+  const accessTracts = useMemo(() => accessRows && {
+    type: 'FeatureCollection',
+    features: accessRows.map(({ tract, reachableAcres, nearestMiles }) => ({
+      ...tract,
+      properties: { ...tract.properties, reachableAcres, nearestMiles },
+    })),
+  }, [accessRows]);
+
+  const downloadAccessCsv = useCallback(() => {
+    if (!accessRows) return;
+    downloadFile(
+      exportFilename(`Park access ${region.name} ${accessDistance} mi`, 'csv'),
+      parkAccessToCsv(accessRows, { distance: accessDistance, amenities }),
+      'text/csv'
     );
+  }, [accessRows, region, accessDistance, amenities]);
 
-    if (parksInParcel.length > 0) {
-      return parksInParcel.reduce((biggest, current) => 
-        (current.properties.acres > biggest.properties.acres) ? current : biggest
-      );
+  const zoomToTract = useCallback(({ tract }) => {
+    const [west, south, east, north] = bbox(tract);
+    mapRef.current?.fitBounds([[west, south], [east, north]], { padding: 80, duration: 1000 });
+  }, []);
+
+  const highlightParks = useCallback((parkIds) => {
+    setSelectedParkIds(parkIds);
+    setParks(current => current && {
+      ...current,
+      features: current.features.map(feature => ({
+        ...feature,
+        properties: {
+          ...feature.properties,
+          selected: parkIds.includes(feature.properties.common_name)
+        }
+      }))
+    });
+  }, []);
+
+  const routeOptions = useMemo(() => ({
+    mode: travelMode,
+    preference: routePreference,
+    detourTolerance,
+    evening: eveningMode,
+  }), [travelMode, routePreference, detourTolerance, eveningMode]);
+
+  const visitedParks = useMemo(() => visitedParkKeys(journal, regionId), [journal, regionId]);
+  const excludeParkIds = useMemo(() => (skipVisited ? visitedParks : []), [skipVisited, visitedParks]);
+
+  // Plans the user builds go into the history (see history/journal); browsing
+  // the other recommendations or reopening a shared link doesn't.
+  const recordPlan = useCallback(({ plan, route: planRoute }) => {
+    updateJournal(current => addPlan(current, journalEntry({
+      plan,
+      route: planRoute,
+      origin: userLocation,
+      mode: travelMode,
+      regionId,
+    })));
+  }, [updateJournal, userLocation, travelMode, regionId]);
+
+  // Shows a plan the planner has built: the route, the panel and the park on the map.
+  const presentParkPlan = useCallback(({ plan, route: parkRoute }, { record = false } = {}) => {
+    if (record) recordPlan({ plan, route: parkRoute });
+    const { park } = plan.recommendation;
+    setMeetup(null);
+    setActiveStep(null);
+    setRoute(parkRoute);
+    setHealthyPlan(plan);
+
+    const parkId = park.properties.common_name;
+    if (parkId) {
+      highlightParks([parkId]);
+    } else {
+      console.error('No valid common_name for the selected park');
     }
 
-    // If no parks, find a trail
-    const trailsInParcel = bikePaths.features.filter(trail => 
-      booleanPointInPolygon(center(trail), parcel)
+    // Pan to the recommended location
+    const [longitude, latitude] = plan.recommendation.center;
+    const map = mapRef.current;
+    if (map) {
+      map.flyTo({
+        center: [longitude, latitude],
+        zoom: 13, // Zoomed out slightly to show more context
+        duration: 2000
+      });
+    }
+  }, [recordPlan, highlightParks]);
+
+  const showPlanForPark = useCallback(async (recommendation, { record = false } = {}) => {
+    presentParkPlan(await plannerRef.current.planForPark(recommendation, {
+      origin: userLocation,
+      templateGuide: guideMode === 'template',
+      region: regionId,
+      pace,
+      departAt: new Date(),
+      ...routeOptions,
+    }), { record });
+  }, [userLocation, guideMode, regionId, pace, routeOptions, presentParkPlan]);
+
+  const buildHealthyPlan = useCallback(async () => {
+    if (userLocation && !isochrones) {
+      setPlanError('Still working out how far you can get. Try again in a moment.');
+      return;
+    }
+
+    try {
+      const { recommendations: ranked, ...result } = await plannerRef.current.planPark({
+        origin: userLocation,
+        amenities,
+        excludeParkIds,
+        isochrones,
+        timeBudget,
+        templateGuide: guideMode === 'template',
+        region: regionId,
+        pace,
+        departAt: new Date(),
+        ...routeOptions,
+      });
+      setRecommendations(ranked);
+      setPlanError(null);
+      presentParkPlan(result, { record: true });
+    } catch (error) {
+      setRecommendations([]);
+      setPlanError(error.message);
+    }
+  }, [
+    userLocation,
+    amenities,
+    excludeParkIds,
+    isochrones,
+    timeBudget,
+    guideMode,
+    regionId,
+    pace,
+    routeOptions,
+    presentParkPlan,
+  ]);
+
+  // A meetup replaces any single plan on the map; its routes are drawn per
+  // person (see planner.planMeetup).
+  const buildMeetupPlan = useCallback(async () => {
+    let result;
+    try {
+      result = await plannerRef.current.planMeetup({
+        origins: meetupOrigins,
+        fairness,
+        amenities,
+        excludeParkIds,
+        pace,
+        ...routeOptions,
+      });
+    } catch (error) {
+      setPlanError(error.message);
+      return;
+    }
+
+    setPlanError(null);
+    setRecommendations([]);
+    setHealthyPlan(null);
+    setRoute(null);
+    setActiveStep(null);
+    setMeetup(result);
+    highlightParks([result.plan.location.properties.common_name].filter(Boolean));
+
+    const map = mapRef.current;
+    if (map) {
+      const [west, south, east, north] = bbox(multiPoint([...meetupOrigins, result.plan.recommendation.center]));
+      map.fitBounds([[west, south], [east, north]], { padding: 80, duration: 2000 });
+    }
+  }, [meetupOrigins, fairness, amenities, excludeParkIds, pace, routeOptions, highlightParks]);
+
+  const clearMeetup = useCallback(() => {
+    setMeetupOrigins([]);
+    setPickingMeetup(false);
+    setMeetup(null);
+  }, []);
+
+  const meetupRoutes = useMemo(() => meetup && {
+    type: 'FeatureCollection',
+    features: meetup.routes
+      .map((personRoute, index) => personRoute && {
+        ...personRoute,
+        properties: { ...personRoute.properties, steps: undefined, color: personColor(index) },
+      })
+      .filter(Boolean),
+  }, [meetup]);
+
+  // Rendered features are clipped to tiles, so look the park up in our own data.
+  const handleMapClick = useCallback((event) => {
+    if (pickingOrigin) {
+      setOrigin([event.lngLat.lng, event.lngLat.lat]);
+      setPickingOrigin(false);
+      return;
+    }
+    if (pickingMeetup) {
+      setMeetupOrigins(current => [...current, [event.lngLat.lng, event.lngLat.lat]]);
+      setPickingMeetup(false);
+      return;
+    }
+
+    const clicked = event.features && event.features[0];
+    if (!clicked || !parks) {
+      setInspectedPark(null);
+      return;
+    }
+
+    const { objectid, common_name: commonName } = clicked.properties;
+    const park = parks.features.find(feature =>
+      objectid !== undefined
+        ? feature.properties.objectid === objectid
+        : feature.properties.common_name === commonName
     );
+    setInspectedPark(park ? plannerRef.current.describe(park, userLocation) : null);
+  }, [pickingOrigin, pickingMeetup, setOrigin, parks, userLocation]);
+
+  const routeToInspectedPark = useCallback(async (details) => {
+    setInspectedPark(null);
+    if (!userLocation) {
+      setPlanError('Set a starting location to get a route.');
+    } else {
+      setPlanError(null);
+    }
+    await showPlanForPark(details, { record: true });
+  }, [userLocation, showPlanForPark]);
 
-    return trailsInParcel.length > 0 ? trailsInParcel[0] : null;
-  }, [parks, bikePaths]);
+  // Rebuild a shared plan once parks, tracts and bike paths have loaded, so
+  // the route and rating come out the same as when the link was made.
+  const restoredSharedPlan = useRef(false);
+  useEffect(() => {
+    if (restoredSharedPlan.current || !sharedPlan.parkId) return;
+    if (!loaded.parks || !loaded.tracts || !loaded.bikePaths || !parks) return;
+    restoredSharedPlan.current = true;
+
+    const park = parks.features.find(feature => String(feature.properties.objectid) === sharedPlan.parkId);
+    if (!park) {
+      setPlanError('The park in this link is no longer available.');
+      return;
+    }
+    showPlanForPark(plannerRef.current.describe(park, userLocation));
+  }, [sharedPlan, loaded, parks, userLocation, showPlanForPark]);
+
+  const shareQuery = useMemo(() => encodePlanState({
+    origin: userLocation,
+    parkId: healthyPlan?.type === 'Park' ? healthyPlan.location.properties.objectid : null,
+    mode: travelMode,
+    preference: routePreference,
+    amenities,
+    viewport,
+    region: regionId,
+  }), [userLocation, healthyPlan, travelMode, routePreference, amenities, viewport, regionId]);
+
+  // Keep the address bar in sync; debounced because the viewport changes on
+  // every frame while the map moves.
+  useEffect(() => {
+    // Leave a shared link untouched until its plan has been rebuilt.
+    if (sharedPlan.parkId && !restoredSharedPlan.current) return undefined;
 
-  const getRoute = useCallback(async (start, end) => {
+    const timeout = setTimeout(() => {
+      window.history.replaceState(null, '', `${window.location.pathname}?${shareQuery}`);
+    }, 500);
+    return () => clearTimeout(timeout);
+  }, [shareQuery, sharedPlan]);
+
+  const copyShareLink = useCallback(async () => {
+    const url = `${window.location.origin}${window.location.pathname}?${shareQuery}`;
     try {
-      const response = await axios.get(
-        `https://api.mapbox.com/directions/v5/mapbox/walking/${start[0]},${start[1]};${end[0]},${end[1]}`,
-        {
-          params: {
-            access_token: MAPBOX_TOKEN,
-            geometries: 'geojson',
-            steps: true,
-            overview: 'full',
-          },
-        }
+      await navigator.clipboard.writeText(url);
+      setLinkCopied(true);
+      setTimeout(() => setLinkCopied(false), 2000);
+    } catch (error) {
+      console.error('Error copying share link:', error);
+      window.prompt('Copy this link to share your plan:', url);
+    }
+  }, [shareQuery]);
+
+  const exportPlan = useCallback((format) => {
+    if (!healthyPlan || !route) return;
+
+    const title = planTitle(healthyPlan, TRAVEL_MODES[travelMode].label);
+    const waypoints = planWaypoints(healthyPlan);
+
+    if (format === 'gpx') {
+      downloadFile(exportFilename(title, 'gpx'), routeToGpx({ route, waypoints, name: title }), 'application/gpx+xml');
+    } else if (format === 'kml') {
+      downloadFile(
+        exportFilename(title, 'kml'),
+        routeToKml({ route, waypoints, name: title }),
+        'application/vnd.google-earth.kml+xml'
+      );
+    } else if (format === 'geojson') {
+      downloadFile(
+        exportFilename(title, 'geojson'),
+        JSON.stringify(routeToGeoJSON({ route, waypoints }), null, 2),
+        'application/geo+json'
       );
+    } else if (format === 'ics') {
+      const trip = estimateTrip(route.properties.distance, travelMode, { pace: paces[travelMode], weightKg });
+      // Default to the start of the next hour; the time is easy to move in the calendar.
+      const start = new Date();
+      start.setHours(start.getHours() + 1, 0, 0, 0);
+      const destination = waypoints[waypoints.length - 1];
+
+      downloadFile(exportFilename(title, 'ics'), planToIcs({
+        title,
+        start,
+        durationMinutes: trip.minutes,
+        location: healthyPlan.type === 'Park' && destination
+          ? [destination.name, destination.address].filter(Boolean).join(', ')
+          : null,
+        summary: [
+          `${formatDistance(route.properties.distance)}, about ${formatDuration(trip.minutes)} and ${Math.round(trip.calories)} kcal`,
+          ...(healthyPlan.type === 'Loop' ? [`Stops: ${waypoints.map(({ name }) => name).join(', ')}`] : []),
+          ...(route.properties.exposure ? [`Exposure score: ${route.properties.exposure.score}/100 (lower is cleaner)`] : []),
+        ],
+        guide: healthyPlan.guide,
+      }), 'text/calendar');
+    }
+  }, [healthyPlan, route, travelMode, paces, weightKg]);
+
+  const buildLoopPlan = useCallback(async () => {
+    const targetMiles = loopUnit === 'min'
+      ? loopTarget / paces[travelMode]
+      : loopUnit === 'km' ? loopTarget / KM_PER_MILE : loopTarget;
 
-      const route = response.data.routes[0];
-      return {
-        type: 'Feature',
-        properties: {},
-        geometry: route.geometry,
-      };
+    let result;
+    try {
+      result = await plannerRef.current.planLoop({
+        origin: userLocation,
+        targetMiles,
+        amenities,
+        excludeParkIds,
+        pace: paces[travelMode],
+        departAt: new Date(),
+        ...routeOptions,
+      });
     } catch (error) {
-      console.error('Error fetching route:', error);
-      return null;
+      setPlanError(error.message);
+      return;
     }
-  }, []);
 
+    recordPlan(result);
+    setPlanError(null);
+    setRecommendations([]);
+    setMeetup(null);
+    setActiveStep(null);
+    setRoute(result.route);
+    setHealthyPlan(result.plan);
+    highlightParks(result.plan.stops.map(({ park }) => park.properties.common_name).filter(Boolean));
+
+    const map = mapRef.current;
+    if (map) {
+      const [west, south, east, north] = bbox(result.route);
+      map.fitBounds([[west, south], [east, north]], { padding: 80, duration: 2000 });
+    }
+  }, [
+    userLocation,
+    loopUnit,
+    loopTarget,
+    paces,
+    travelMode,
+    amenities,
+    excludeParkIds,
+    routeOptions,
+    recordPlan,
+    highlightParks,
+  ]);
+
+  // Shows a plan from the history as it was saved, switching region if needed.
+  const showSavedPlan = useCallback((entry) => {
+    const { plan, route: savedRoute } = planFromEntry(entry);
+    if (entry.regionId && entry.regionId !== regionId) changeRegion(entry.regionId);
+
+    setUserLocation(entry.origin);
+    setPlanError(null);
+    setRecommendations([]);
+    setActiveStep(null);
+    setRoute(savedRoute);
+    setHealthyPlan(plan);
+    highlightParks(entry.parks.map(park => park.properties.common_name).filter(Boolean));
+
+    const map = mapRef.current;
+    if (map && savedRoute) {
+      const [west, south, east, north] = bbox(savedRoute);
+      map.fitBounds([[west, south], [east, north]], { padding: 80, duration: 2000 });
+    }
+  }, [regionId, changeRegion, highlightParks]);
+
+  const toggleFavoritePark = useCallback((park, parkCenter) => {
+    updateJournal(current => toggleFavorite(current, park, parkCenter, regionId));
+  }, [updateJournal, regionId]);
 
-  const buildHealthyPlan = useCallback(async () => {
-    const bestParcel = findBestEnvironmentalParcel();
-    if (bestParcel) {
-      const bestLocation = findBiggestParkOrTrail(bestParcel);
-      if (bestLocation) {
-        const guide = await generateParkGuide(bestLocation);
-        
-        // Find and highlight the nearest trail
-        if (userLocation && bikePathsContent) {
-          const parkCenter = center(bestLocation).geometry.coordinates;
-          // const nearestTrail = findNearestTrail(userLocation, parkCenter);
-          // if (nearestTrail) {
-          //   const highlightedTrailFeature = highlightTrail(nearestTrail, userLocation, parkCenter);
-          //   setHighlightedTrail(highlightedTrailFeature);
-          // }
-
-          // Get the route between user location and park
-          const routeGeojson = await getRoute(userLocation, parkCenter);
-          setRoute(routeGeojson);
-        }
+  const routeToFavorite = useCallback((favorite) => {
+    if (favorite.regionId !== regionId) {
+      setPlanError(`${favorite.name} is in ${findRegion(favorite.regionId)?.name || 'another region'}. Switch regions to route there.`);
+      return;
+    }
 
-        setHealthyPlan({
-          type: bestLocation.geometry.type === 'Polygon' ? 'Park' : 'Trail',
-          location: bestLocation,
-          environmentalRating: bestParcel.properties.percentile,
-          guide: guide,
-        });
-
-        // Set the selected park ID
-        if (bestLocation && parks) {
-          const parkId = bestLocation.properties.common_name;
-        
-          if (parkId) {
-            setSelectedParkId(parkId);
-        
-            const updatedParks = {
-              ...parks,
-              features: parks.features.map(park => ({
-                ...park,
-                properties: {
-                  ...park.properties,
-                  selected: park.properties.common_name === parkId
-                }
-              }))
-            };
-        
-            setParks(updatedParks);
-          } else {
-            console.error('No valid common_name for the selected park');
-          }
-        }
-          
-        // Pan to the recommended location
-        const [longitude, latitude] = center(bestLocation).geometry.coordinates;
-        if (map) {
-          map.flyTo({
-            center: [longitude, latitude],
-            zoom: 13, // Zoomed out slightly to show more context
-            duration: 2000
-          });
-        }
-      }
+    const park = parks?.features.find(feature => parkKey(feature) === favorite.key);
+    if (!park) {
+      setPlanError(`${favorite.name} isn't in the parks data right now.`);
+      return;
     }
-  }, [findBestEnvironmentalParcel, generateParkGuide, findBiggestParkOrTrail, map, parks, bikePathsContent, getRoute, userLocation]);
+    routeToInspectedPark(plannerRef.current.describe(park, userLocation));
+  }, [regionId, parks, userLocation, routeToInspectedPark]);
+
+  const toggleAmenity = useCallback((id) => {
+    setAmenities(current =>
+      current.includes(id) ? current.filter(amenity => amenity !== id) : [...current, id]
+    );
+  }, []);
+
+  const layoutFor = (layer) => ({ visibility: layerVisibility[layer] ? 'visible' : 'none' });
 
   const environmentalDataLayer = {
     id: 'environmental-data',
     type: 'fill',
+    layout: layoutFor('tracts'),
     paint: {
-      'fill-color': [
-        'interpolate',
-        ['linear'],
-        ['get', 'percentile'],
-        0, '#8b0000',  // dark red for worst
-        0.25, '#ff0000', // red
-        0.5, '#ff00ff', // magenta for middle
-        0.75, '#0000ff', // blue
-        1, '#00008b'  // dark blue for best
-      ],
-      'fill-opacity': 0.2
+      'fill-color': percentileColorExpression(),
+      'fill-opacity': ['case', ['==', ['get', 'reachable'], false], 0.05, 0.2]
+    }
+  };
+
+  const parkAccessLayer = accessLegend && {
+    id: 'park-access',
+    type: 'fill',
+    paint: {
+      'fill-color': accessColorExpression(accessMetric, accessLegend),
+      'fill-opacity': 0.6,
+      'fill-outline-color': 'rgba(255, 255, 255, 0.3)'
+    }
+  };
+
+  const reachLayer = {
+    id: 'reach',
+    type: 'line',
+    layout: layoutFor('reach'),
+    paint: {
+      'line-color': 'white',
+      'line-width': ['case', ['==', ['get', 'minutes'], timeBudget], 2.5, 1],
+      'line-dasharray': [2, 2],
+      'line-opacity': 0.8
     }
   };
 
   const bikePathsLayer = {
     id: 'bike-paths',
     type: 'line',
+    layout: layoutFor('bikePaths'),
     paint: {
       'line-color': 'limegreen',
       'line-width': 4,
@@ -469,21 +901,48 @@ const MapComponent = () => {
   const parksLayer = {
     id: 'parks',
     type: 'fill',
+    layout: layoutFor('parks'),
     paint: {
       'fill-color': [
         'case',
-        ['==', ['get', 'common_name'], selectedParkId], // Compare common_name instead of OBJECTID
-        'red', // Highlight selected park in red
+        ['in', ['get', 'common_name'], ['literal', selectedParkIds]], // Compare common_name instead of OBJECTID
+        'red', // Highlight selected parks in red
         'darkgreen' // Default color for unselected parks
       ],
-      'fill-opacity': 0.7,
+      // Parks that don't offer every selected amenity are dimmed.
+      'fill-opacity': ['case', amenityFilterExpression(amenities), 0.7, 0.15],
       'fill-outline-color': 'limegreen'
     }
   };
       
+  const activeStepFeature = useMemo(() => {
+    const step = route?.properties.steps?.[activeStep];
+    if (!step || step.coordinates.length < 2) return null;
+    return {
+      type: 'Feature',
+      properties: {},
+      geometry: { type: 'LineString', coordinates: step.coordinates },
+    };
+  }, [route, activeStep]);
+
+  const focusStep = useCallback((index) => {
+    setActiveStep(index);
+    const step = route?.properties.steps?.[index];
+    const map = mapRef.current;
+    if (!step || !map) return;
+
+    if (step.coordinates.length < 2) {
+      map.flyTo({ center: step.coordinates[0], zoom: 16, duration: 1000 });
+    } else {
+      const [west, south, east, north] = bbox(lineString(step.coordinates));
+      map.fitBounds([[west, south], [east, north]], { padding: 80, maxZoom: 17, duration: 1000 });
+    }
+  }, [route]);
+
   const routeLayer = {
     id: 'route',
     type: 'line',
+    layout: layoutFor('route'),
     paint: {
       'line-color': '#3887be',
       'line-width': 5,
@@ -491,74 +950,468 @@ const MapComponent = () => {
     }
   };
 
-  // const highlightedTrailLayer = {
-  //   id: 'highlighted-trail',
-  //   type: 'line',
-  //   paint: {
-  //     'line-color': 'red',
-  //     'line-width': 6,
-  //     'line-opacity': 1
-  //   }
-  // };
+  const meetupRoutesLayer = {
+    id: 'meetup-routes',
+    type: 'line',
+    layout: layoutFor('route'),
+    paint: {
+      'line-color': ['get', 'color'],
+      'line-width': 4,
+      'line-opacity': 0.85
+    }
+  };
+
+  const activeStepLayer = {
+    id: 'route-active-step',
+    type: 'line',
+    layout: layoutFor('route'),
+    paint: {
+      'line-color': '#ffd400',
+      'line-width': 8,
+      'line-opacity': 0.9
+    }
+  };
 
   return (
     <div style={{ position: 'relative', width: '100%', height: '100vh' }}>
       <Map
+        ref={mapRef}
         {...viewport}
         style={{ width: '100%', height: '100%' }}
         mapStyle="mapbox://styles/mapbox/dark-v10"
         mapboxAccessToken={MAPBOX_TOKEN}
         onMove={(evt) => setViewport(evt.viewState)}
         interactiveLayerIds={['parks']}
+        onClick={handleMapClick}
+        onMouseEnter={() => setCursor('pointer')}
+        onMouseLeave={() => setCursor('')}
+        cursor={pickingOrigin || pickingMeetup ? 'crosshair' : cursor}
       >
-        {environmentalData && (
-          <Source type="geojson" data={environmentalData}>
+        {displayedTracts && !accessOpen && (
+          <Source type="geojson" data={displayedTracts}>
             <Layer {...environmentalDataLayer} />
           </Source>
         )}
+        {accessOpen && accessTracts && parkAccessLayer && (
+          <Source type="geojson" data={accessTracts}>
+            <Layer {...parkAccessLayer} />
+          </Source>
+        )}
+        {isochrones && (
+          <Source type="geojson" data={isochrones}>
+            <Layer {...reachLayer} />
+          </Source>
+        )}
         {bikePaths && (
           <Source type="geojson" data={bikePaths}>
             <Layer {...bikePathsLayer} />
           </Source>
         )}
         {parks && (
-          <Source key={selectedParkId} type="geojson" data={parks}>
+          <Source key={selectedParkIds.join('|')} type="geojson" data={parks}>
             <Layer {...parksLayer} />
           </Source>
         )}
         {userLocation && (
-          <Marker longitude={userLocation[0]} latitude={userLocation[1]}>
+          <Marker
+            longitude={userLocation[0]}
+            latitude={userLocation[1]}
+            anchor="bottom"
+            draggable
+            onDragEnd={(e) => setOrigin([e.lngLat.lng, e.lngLat.lat])}
+          >
             <div style={{ color: 'red', fontSize: '24px' }}>📍</div>
           </Marker>
         )}
-        {/* {highlightedTrail && (
-          <Source type="geojson" data={highlightedTrail}>
-            <Layer {...highlightedTrailLayer} />
-          </Source>
-        )} */}
         {route && (
           <Source type="geojson" data={route}>
             <Layer {...routeLayer} />
           </Source>
         )}
+        {meetupRoutes && (
+          <Source type="geojson" data={meetupRoutes}>
+            <Layer {...meetupRoutesLayer} />
+          </Source>
+        )}
+        {meetupOrigins.map(([longitude, latitude], index) => (
+          <Marker
+            key={`${longitude},${latitude},${index}`}
+            longitude={longitude}
+            latitude={latitude}
+            anchor="center"
+          >
+            <div
+              style={{
+                width: '20px',
+                height: '20px',
+                borderRadius: '50%',
+                backgroundColor: personColor(index),
+                border: '2px solid white',
+                color: 'white',
+                fontSize: '12px',
+                fontWeight: 'bold',
+                lineHeight: '20px',
+                textAlign: 'center'
+              }}
+            >
+              {index + 1}
+            </div>
+          </Marker>
+        ))}
+        {activeStepFeature && (
+          <Source type="geojson" data={activeStepFeature}>
+            <Layer {...activeStepLayer} />
+          </Source>
+        )}
+        {inspectedPark && (
+          <ParkPopup
+            details={inspectedPark}
+            onClose={() => setInspectedPark(null)}
+            onRoute={routeToInspectedPark}
+            favorite={isFavorite(journal, parkKey(inspectedPark.park), regionId)}
+            onToggleFavorite={() => toggleFavoritePark(inspectedPark.park, inspectedPark.center)}
+          />
+        )}
       </Map>
-      <button
+      <LayerControl
+        visibility={layerVisibility}
+        onToggle={(layer) => setLayerVisibility(current => ({ ...current, [layer]: !current[layer] }))}
+        indicator={hpiIndicator}
+        year={hpiYear}
+        onIndicatorChange={setHpiIndicator}
+        onYearChange={setHpiYear}
+        loading={indicatorLoading}
+        failed={indicatorFailed}
+        parksSource={parksSource}
+      />
+      {accessOpen && (
+        <ParkAccessPanel
+          rows={accessRows}
+          error={missingTracts || accessError}
+          distance={accessDistance}
+          onDistanceChange={setAccessDistance}
+          amenityLabels={AMENITY_FILTERS.filter(filter => amenities.includes(filter.id)).map(filter => filter.label)}
+          metric={accessMetric}
+          onMetricChange={setAccessMetric}
+          classes={accessLegend}
+          onSelectTract={zoomToTract}
+          onDownload={downloadAccessCsv}
+          onClose={() => setAccessOpen(false)}
+        />
+      )}
+      {!online && <OfflineBanner lastPlan={journal.plans[0]} onShowLastPlan={showSavedPlan} />}
+      <JournalPanel
+        journal={journal}
+        onShowPlan={showSavedPlan}
+        onCompletePlan={(entry, completed) => updateJournal(current => setPlanCompleted(current, entry.id, completed))}
+        onRemovePlan={(entry) => updateJournal(current => removePlan(current, entry.id))}
+        onRouteToFavorite={routeToFavorite}
+        onRemoveFavorite={(favorite) => updateJournal(current => removeFavorite(current, favorite.key, favorite.regionId))}
+        onGoalChange={(goal) => updateJournal(current => setGoal(current, goal))}
+      />
+      <div
         style={{
           position: 'absolute',
           top: '20px',
           left: '20px',
-          padding: '10px',
-          fontSize: '16px',
-          backgroundColor: '#4CAF50',
-          color: 'white',
-          border: 'none',
-          borderRadius: '5px',
-          cursor: 'pointer'
+          display: 'flex',
+          flexDirection: 'column',
+          alignItems: 'flex-start',
+          gap: '10px'
         }}
-        onClick={buildHealthyPlan}
       >
-        Build me a healthy plan
-      </button>
+        <label
+          style={{
+            padding: '6px 10px',
+            backgroundColor: 'white',
+            borderRadius: '5px',
+            fontSize: '14px'
+          }}
+        >
+          Region:{' '}
+          <select value={regionId} onChange={(e) => selectRegion(e.target.value)}>
+            {REGIONS.map(option => {
+              const unavailable = unavailableRegions.includes(option.id) && option.id !== regionId;
+              return (
+                <option key={option.id} value={option.id} disabled={unavailable}>
+                  {option.name}{unavailable && ' (no data)'}
+                </option>
+              );
+            })}
+          </select>
+        </label>
+        <button
+          style={{
+            padding: '6px 10px',
+            fontSize: '14px',
+            backgroundColor: accessOpen ? '#3887be' : 'white',
+            color: accessOpen ? 'white' : 'black',
+            border: 'none',
+            borderRadius: '5px',
+            cursor: 'pointer'
+          }}
+          onClick={() => setAccessOpen(open => !open)}
+        >
+          Park access analysis
+        </button>
+        <LocationSearch gazetteer={gazetteer} geocoder={geocoder} onSelect={selectPlace} />
+        <button
+          style={{
+            padding: '6px 10px',
+            fontSize: '14px',
+            backgroundColor: pickingOrigin ? '#3887be' : 'white',
+            color: pickingOrigin ? 'white' : 'black',
+            border: 'none',
+            borderRadius: '5px',
+            cursor: 'pointer'
+          }}
+          onClick={() => setPickingOrigin(picking => !picking)}
+        >
+          {pickingOrigin ? 'Click the map to set your start' : 'Set start on map'}
+        </button>
+        {locationError && !userLocation && (
+          <div
+            style={{
+              padding: '6px 10px',
+              backgroundColor: '#fdecea',
+              color: '#8b0000',
+              borderRadius: '5px',
+              fontSize: '14px',
+              maxWidth: '240px'
+            }}
+          >
+            {locationError}
+          </div>
+        )}
+        <button
+          style={{
+            padding: '10px',
+            fontSize: '16px',
+            backgroundColor: '#4CAF50',
+            color: 'white',
+            border: 'none',
+            borderRadius: '5px',
+            cursor: 'pointer'
+          }}
+          onClick={buildHealthyPlan}
+        >
+          Build me a healthy plan
+        </button>
+        <div
+          style={{
+            padding: '6px 10px',
+            backgroundColor: 'white',
+            borderRadius: '5px',
+            fontSize: '14px'
+          }}
+        >
+          Loop of{' '}
+          <input
+            type="number"
+            min="1"
+            step="0.5"
+            value={loopTarget}
+            onChange={onPositiveNumber(setLoopTarget)}
+            style={{ width: '50px' }}
+          />{' '}
+          <select value={loopUnit} onChange={(e) => setLoopUnit(e.target.value)}>
+            <option value="km">km</option>
+            <option value="mi">mi</option>
+            <option value="min">min</option>
+          </select>{' '}
+          <button onClick={buildLoopPlan}>Plan a loop</button>
+        </div>
+        <MeetupPanel
+          origins={meetupOrigins}
+          canAddCurrent={Boolean(userLocation)}
+          onAddCurrent={() => setMeetupOrigins(current => [...current, userLocation])}
+          picking={pickingMeetup}
+          onTogglePicking={() => setPickingMeetup(picking => !picking)}
+          onRemoveOrigin={(index) => setMeetupOrigins(current => current.filter((_, i) => i !== index))}
+          fairness={fairness}
+          onFairnessChange={setFairness}
+          onPlan={buildMeetupPlan}
+          onClear={clearMeetup}
+          plan={meetup?.plan}
+        />
+        <div
+          style={{
+            padding: '6px 10px',
+            backgroundColor: 'white',
+            borderRadius: '5px',
+            fontSize: '14px',
+            textAlign: 'left'
+          }}
+        >
+          {Object.entries(TRAVEL_MODES).map(([id, mode]) => (
+            <label key={id} style={{ marginRight: '8px' }}>
+              <input
+                type="radio"
+                name="travel-mode"
+                value={id}
+                checked={travelMode === id}
+                onChange={() => setTravelMode(id)}
+              />{' '}
+              {mode.label}
+            </label>
+          ))}
+          <div style={{ marginTop: '4px' }}>
+            <label>
+              Pace{' '}
+              <input
+                type="number"
+                min="1"
+                step="0.5"
+                value={paces[travelMode]}
+                onChange={onPositiveNumber(pace => setPaces(current => ({ ...current, [travelMode]: pace })))}
+                style={{ width: '50px' }}
+              />{' '}
+              min/mi
+            </label>
+            <label style={{ marginLeft: '8px' }}>
+              Weight{' '}
+              <input
+                type="number"
+                min="20"
+                value={weightKg}
+                onChange={onPositiveNumber(setWeightKg)}
+                style={{ width: '50px' }}
+              />{' '}
+              kg
+            </label>
+          </div>
+          <div style={{ marginTop: '4px' }}>
+            <label>
+              Parks within{' '}
+              <select value={timeBudget} onChange={(e) => setTimeBudget(Number(e.target.value))}>
+                {ISOCHRONE_MINUTES.map(minutes => (
+                  <option key={minutes} value={minutes}>{minutes} min</option>
+                ))}
+              </select>
+            </label>
+            {isochrones?.features[0]?.properties.fallback && (
+              <div style={{ color: '#888', fontSize: '12px' }}>
+                Reach is estimated in a straight line; the isochrone service is unavailable.
+              </div>
+            )}
+          </div>
+        </div>
+        <label
+          style={{
+            padding: '6px 10px',
+            backgroundColor: 'white',
+            borderRadius: '5px',
+            fontSize: '14px'
+          }}
+        >
+          Route:{' '}
+          <select value={routePreference} onChange={(e) => setRoutePreference(e.target.value)}>
+            <option value="protected">Most protected</option>
+            <option value="shortest">Shortest</option>
+            <option value="cleanest">Cleanest air</option>
+          </select>
+        </label>
+        {routePreference === 'cleanest' && (
+          <label
+            style={{
+              padding: '6px 10px',
+              backgroundColor: 'white',
+              borderRadius: '5px',
+              fontSize: '14px'
+            }}
+          >
+            Accept up to {Math.round(detourTolerance * 100)}% detour{' '}
+            <input
+              type="range"
+              min="0"
+              max="0.5"
+              step="0.05"
+              value={detourTolerance}
+              onChange={(e) => setDetourTolerance(Number(e.target.value))}
+            />
+          </label>
+        )}
+        <label
+          style={{
+            padding: '6px 10px',
+            backgroundColor: 'white',
+            borderRadius: '5px',
+            fontSize: '14px'
+          }}
+        >
+          <input
+            type="checkbox"
+            checked={eveningMode}
+            onChange={(e) => setEveningMode(e.target.checked)}
+          />{' '}
+          Evening mode (lit parks and paths)
+        </label>
+        {planError && (
+          <div
+            style={{
+              padding: '6px 10px',
+              backgroundColor: '#fdecea',
+              color: '#8b0000',
+              borderRadius: '5px',
+              fontSize: '14px'
+            }}
+          >
+            {planError}
+          </div>
+        )}
+        <fieldset
+          style={{
+            padding: '6px 10px',
+            backgroundColor: 'white',
+            border: 'none',
+            borderRadius: '5px',
+            fontSize: '14px',
+            textAlign: 'left'
+          }}
+        >
+          <legend style={{ fontWeight: 'bold', padding: 0, float: 'left', marginBottom: '4px' }}>Must have</legend>
+          {AMENITY_FILTERS.map(filter => (
+            <label key={filter.id} style={{ display: 'block', clear: 'left' }}>
+              <input
+                type="checkbox"
+                checked={amenities.includes(filter.id)}
+                onChange={() => toggleAmenity(filter.id)}
+              />{' '}
+              {filter.label}
+            </label>
+          ))}
+        </fieldset>
+        <label
+          style={{
+            padding: '6px 10px',
+            backgroundColor: 'white',
+            borderRadius: '5px',
+            fontSize: '14px'
+          }}
+        >
+          <input
+            type="checkbox"
+            checked={guideMode === 'template'}
+            onChange={(e) => setGuideMode(e.target.checked ? 'template' : 'ai')}
+          />{' '}
+          No AI guides
+        </label>
+        <label
+          style={{
+            padding: '6px 10px',
+            backgroundColor: 'white',
+            borderRadius: '5px',
+            fontSize: '14px'
+          }}
+        >
+          <input
+            type="checkbox"
+            checked={skipVisited}
+            onChange={(e) => setSkipVisited(e.target.checked)}
+          />{' '}
+          Skip parks I've visited ({visitedParks.length})
+        </label>
+      </div>
       {healthyPlan && (
         <div
           style={{
@@ -575,11 +1428,134 @@ const MapComponent = () => {
           }}
         >
           <h3>Your Healthy Plan</h3>
+          {healthyPlan.type === 'Park' && (
+            <button
+              style={{
+                marginBottom: '10px',
+                marginRight: '6px',
+                padding: '6px 10px',
+                backgroundColor: 'white',
+                border: '1px solid #ccc',
+                borderRadius: '5px',
+                cursor: 'pointer'
+              }}
+              onClick={() => toggleFavoritePark(healthyPlan.location, healthyPlan.recommendation.center)}
+            >
+              {isFavorite(journal, parkKey(healthyPlan.location), regionId) ? '★ Favorite' : '☆ Favorite'}
+            </button>
+          )}
+          {healthyPlan.type === 'Park' && (
+            <button
+              style={{
+                marginBottom: '10px',
+                padding: '6px 10px',
+                backgroundColor: '#3887be',
+                color: 'white',
+                border: 'none',
+                borderRadius: '5px',
+                cursor: 'pointer'
+              }}
+              onClick={copyShareLink}
+            >
+              {linkCopied ? 'Link copied!' : 'Share this plan'}
+            </button>
+          )}
+          {route && (
+            <label style={{ display: 'block', marginBottom: '10px', fontSize: '13px' }}>
+              <strong>Export:</strong>{' '}
+              <select
+                value=""
+                onChange={(e) => exportPlan(e.target.value)}
+              >
+                <option value="" disabled>Download as…</option>
+                <option value="gpx">GPX (watches, Strava)</option>
+                <option value="kml">KML (Google Earth)</option>
+                <option value="geojson">GeoJSON</option>
+                <option value="ics">Calendar event (.ics)</option>
+              </select>
+            </label>
+          )}
           <p><strong>Type:</strong> {healthyPlan.type}</p>
-          <p><strong>Environmental Rating:</strong> {(healthyPlan.environmentalRating * 100).toFixed(2)}%</p>
+          {healthyPlan.type === 'Park' && (
+            <p>
+              <strong>Environmental Rating:</strong>{' '}
+              {healthyPlan.environmentalRating === null ? 'n/a' : `${(healthyPlan.environmentalRating * 100).toFixed(2)}%`}
+            </p>
+          )}
+          {healthyPlan.type === 'Loop' && (
+            <div>
+              <p>
+                <strong>Target:</strong> {healthyPlan.targetMiles.toFixed(2)} mi
+              </p>
+              <p>
+                <strong>Parks Visited:</strong> {healthyPlan.stops.length}
+              </p>
+              <ol style={{ paddingLeft: '20px', marginTop: 0 }}>
+                {healthyPlan.stops.map(({ park }) => (
+                  <li key={park.properties.objectid ?? park.properties.common_name}>
+                    {park.properties.full_name || park.properties.common_name}
+                  </li>
+                ))}
+              </ol>
+              {route?.properties.exposure && (
+                <p>
+                  <strong>Average Tract Percentile:</strong> {(route.properties.exposure.meanPercentile * 100).toFixed(0)}%
+                </p>
+              )}
+            </div>
+          )}
+          {route && (
+            <p>
+              <strong>Route:</strong> {(route.properties.distance / METERS_PER_MILE).toFixed(2)} mi
+              {route.properties.networkDistance > 0 && (
+                <> ({Math.round((route.properties.networkDistance / route.properties.distance) * 100)}% on bike paths)</>
+              )}
+            </p>
+          )}
+          {route && (
+            <table style={{ width: '100%', fontSize: '13px', marginBottom: '10px' }}>
+              <thead>
+                <tr>
+                  <th style={{ textAlign: 'left' }}>Mode</th>
+                  <th style={{ textAlign: 'right' }}>Time</th>
+                  <th style={{ textAlign: 'right' }}>Calories</th>
+                </tr>
+              </thead>
+              <tbody>
+                {Object.entries(TRAVEL_MODES).map(([id, mode]) => {
+                  const trip = estimateTrip(route.properties.distance, id, { pace: paces[id], weightKg });
+                  return (
+                    <tr key={id} style={{ fontWeight: id === travelMode ? 'bold' : 'normal' }}>
+                      <td>{mode.label}</td>
+                      <td style={{ textAlign: 'right' }}>{formatDuration(trip.minutes)}</td>
+                      <td style={{ textAlign: 'right' }}>{Math.round(trip.calories)} kcal</td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          )}
+          {healthyPlan.daylight && (
+            <DaylightNote
+              daylight={healthyPlan.daylight}
+              planType={healthyPlan.type}
+              evening={eveningMode}
+              parkLit={healthyPlan.type === 'Park' && matchesAmenities(healthyPlan.location.properties, ['lighting'])}
+              unlitDistance={route?.properties.unlitDistance}
+            />
+          )}
+          {route?.properties.exposure && (
+            <p>
+              <strong>Exposure Score:</strong> {route.properties.exposure.score}/100 (lower is cleaner),{' '}
+              {Math.round(route.properties.exposure.lowShare * 100)}% through low-percentile tracts
+            </p>
+          )}
           {healthyPlan.guide && (
             <div>
               <h4>Park Guide</h4>
+              {healthyPlan.guideSource === 'template' && (
+                <p style={{ fontSize: '12px', color: '#555' }}>Written from park data, not by AI.</p>
+              )}
               <ReactMarkdown>{healthyPlan.guide}</ReactMarkdown>
             </div>
           )}
@@ -602,8 +1578,52 @@ const MapComponent = () => {
               </p>
             </div>
           )}
-          {healthyPlan.type === 'Trail' && (
-            <p><strong>Trail Name:</strong> {healthyPlan.location.properties.name || 'Unnamed Trail'}</p>
+          {route?.properties.steps?.length > 0 && (
+            <div>
+              <h4>Directions</h4>
+              <DirectionsList
+                steps={route.properties.steps}
+                activeIndex={activeStep}
+                onHover={setActiveStep}
+                onSelect={focusStep}
+              />
+            </div>
+          )}
+          {recommendations.length > 1 && (
+            <div>
+              <h4>Other Options</h4>
+              <ol style={{ paddingLeft: '20px', margin: 0 }}>
+                {recommendations.map(recommendation => {
+                  const { park, score, breakdown } = recommendation;
+                  const isSelected = healthyPlan.location === park;
+                  return (
+                    <li key={park.properties.objectid ?? park.properties.common_name} style={{ marginBottom: '8px' }}>
+                      <button
+                        style={{
+                          background: 'none',
+                          border: 'none',
+                          padding: 0,
+                          textAlign: 'left',
+                          cursor: 'pointer',
+                          fontWeight: isSelected ? 'bold' : 'normal',
+                          color: isSelected ? '#4CAF50' : '#3887be'
+                        }}
+                        onClick={() => showPlanForPark(recommendation)}
+                      >
+                        {park.properties.full_name || park.properties.common_name} ({score.toFixed(0)})
+                      </button>
+                      <div style={{ fontSize: '12px', color: '#555' }}>
+                        air {breakdown.percentile.toFixed(0)} · distance {breakdown.distance.toFixed(0)} · size{' '}
+                        {breakdown.acreage.toFixed(0)} · facilities {breakdown.facilities.toFixed(0)}
+                        {breakdown.lighting !== undefined && <> · lighting {breakdown.lighting.toFixed(0)}</>}
+                        {' '}({recommendation.distance.toFixed(1)} mi
+                        {typeof recommendation.minutes === 'number' && `, ~${recommendation.minutes} min`})
+                      </div>
+                    </li>
+                  );
+                })}
+              </ol>
+            </div>
           )}
         </div>
       )}
@@ -0,0 +1,135 @@
+import React, { useState } from 'react';
+import { ACCESS_DISTANCES, ACCESS_METRICS, sortAccessRows } from './parkAccess';
+
+const COLUMNS = [
+  { id: 'geoid', label: 'Tract' },
+  { id: 'percentile', label: 'Clean env.', format: value => `${Math.round(value * 100)}%` },
+  { id: 'reachableAcres', label: 'Acres', format: value => value.toFixed(1) },
+  { id: 'reachableParks', label: 'Parks' },
+  { id: 'nearestMiles', label: 'Nearest', format: value => `${value.toFixed(2)} mi` },
+];
+
+const cellStyle = {
+  padding: '2px 6px',
+  textAlign: 'right',
+  whiteSpace: 'nowrap'
+};
+
+const formatBreak = (value) => (Number.isInteger(value) ? value : value.toFixed(2));
+
+// Park-access gap analysis across tracts (see analysis/parkAccess). The map
+// shows `metric` as a choropleth; rows can be sorted and clicked to zoom in.
+// `error` replaces the table when the analysis can't run.
+const ParkAccessPanel = ({
+  rows,
+  error,
+  distance,
+  onDistanceChange,
+  amenityLabels,
+  metric,
+  onMetricChange,
+  classes,
+  onSelectTract,
+  onDownload,
+  onClose,
+}) => {
+  // Park deserts first: the fewest acres within reach.
+  const [sort, setSort] = useState({ column: 'reachableAcres', ascending: true });
+  const sorted = rows && !error ? sortAccessRows(rows, sort.column, sort.ascending) : [];
+
+  const sortBy = (column) =>
+    setSort(current => ({ column, ascending: current.column === column ? !current.ascending : true }));
+
+  return (
+    <div
+      style={{
+        position: 'absolute',
+        top: '20px',
+        left: '50%',
+        transform: 'translateX(-50%)',
+        width: '460px',
+        maxHeight: '60vh',
+        overflowY: 'auto',
+        padding: '10px',
+        backgroundColor: 'white',
+        borderRadius: '5px',
+        boxShadow: '0 2px 10px rgba(0,0,0,0.3)',
+        fontSize: '13px',
+        textAlign: 'left'
+      }}
+    >
+      <div style={{ display: 'flex', justifyContent: 'space-between' }}>
+        <strong>Park access by tract</strong>
+        <button onClick={onClose}>Close</button>
+      </div>
+      <div style={{ marginTop: '6px' }}>
+        Acres within{' '}
+        <select value={distance} onChange={(e) => onDistanceChange(Number(e.target.value))}>
+          {ACCESS_DISTANCES.map(option => (
+            <option key={option} value={option}>{option} mi</option>
+          ))}
+        </select>
+        {' · '}Nearest park with {amenityLabels.length ? amenityLabels.join(', ') : 'any amenities'}
+      </div>
+      <div style={{ marginTop: '6px' }}>
+        Map:{' '}
+        <select value={metric} onChange={(e) => onMetricChange(e.target.value)}>
+          {ACCESS_METRICS.map(option => (
+            <option key={option.id} value={option.id}>{option.label}</option>
+          ))}
+        </select>{' '}
+        <button onClick={onDownload} disabled={!rows || Boolean(error)}>Download CSV</button>
+      </div>
+      {classes && (
+        <div style={{ display: 'flex', marginTop: '6px' }}>
+          {classes.colors.map((color, i) => (
+            <div key={color + i} style={{ flex: 1, textAlign: 'center', color: '#555' }}>
+              <div style={{ height: '10px', backgroundColor: color }} />
+              {classes.breaks.length > 0 && (i === 0
+                ? `< ${formatBreak(classes.breaks[0])}`
+                : `≥ ${formatBreak(classes.breaks[i - 1])}`)}
+            </div>
+          ))}
+        </div>
+      )}
+      {error && <div style={{ marginTop: '8px', color: '#8b0000' }}>{error}</div>}
+      {!rows && !error && <div style={{ marginTop: '8px', color: '#888' }}>Analyzing tracts…</div>}
+      {rows && !error && (
+        <table style={{ width: '100%', marginTop: '8px', borderCollapse: 'collapse' }}>
+          <thead>
+            <tr>
+              {COLUMNS.map(column => (
+                <th
+                  key={column.id}
+                  style={{ ...cellStyle, cursor: 'pointer', borderBottom: '1px solid #ccc' }}
+                  onClick={() => sortBy(column.id)}
+                >
+                  {column.label}
+                  {sort.column === column.id && (sort.ascending ? ' ▲' : ' ▼')}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {sorted.map((row, index) => (
+              <tr
+                key={row.geoid || index}
+                style={{ cursor: 'pointer' }}
+                title={row.nearestPark ? `Nearest: ${row.nearestPark}` : undefined}
+                onClick={() => onSelectTract(row)}
+              >
+                {COLUMNS.map(column => (
+                  <td key={column.id} style={cellStyle}>
+                    {row[column.id] === null ? '–' : column.format ? column.format(row[column.id]) : row[column.id]}
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+};
+
+export default ParkAccessPanel;
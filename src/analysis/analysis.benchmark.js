@@ -0,0 +1,129 @@
+/**
+ * Compares the indexed analysis with the previous linear scans on the full
+ * county parks snapshot. Run with `npm run benchmark`; it is not part of
+ * `npm test`.
+ *
+ * HPI tracts come from a live API, so the benchmark generates a stand-in:
+ * Voronoi cells over the county, densified to roughly the vertex count of
+ * real tract boundaries. The "4x area" rows model a region four times larger.
+ */
+import fs from 'fs';
+import path from 'path';
+import { bbox, booleanPointInPolygon, voronoi } from '@turf/turf';
+import { toWgs84 } from '../data/reproject';
+import { createTractLookup } from '../scoring/exposure';
+import { rankParks } from '../scoring/parkRanking';
+import { createAnalysis } from './analysis';
+import sanDiego from '../regions/san-diego.json';
+
+const COUNTY_BOUNDS = sanDiego.bounds;
+const WIDE_BOUNDS = [-119.1, 32.0, -114.6, 34.0];
+const COUNTY_TRACTS = 627; // tracts in the 2019 HPI release for San Diego County
+const VERTICES_PER_EDGE = 20;
+const LOOKUPS = 2000;
+const PLANS = 50;
+
+// Deterministic, so runs are comparable.
+const seeded = (seed) => () => {
+  seed = (seed * 16807) % 2147483647;
+  return (seed - 1) / 2147483646;
+};
+
+const densify = (ring) =>
+  ring.slice(1).flatMap((b, i) => {
+    const a = ring[i];
+    return Array.from({ length: VERTICES_PER_EDGE }, (_, j) => {
+      const t = j / VERTICES_PER_EDGE;
+      return [a[0] + (b[0] - a[0]) * t, a[1] + (b[1] - a[1]) * t];
+    });
+  }).concat([ring[0]]);
+
+const randomPoints = (count, [west, south, east, north], random) =>
+  Array.from({ length: count }, () => [west + random() * (east - west), south + random() * (north - south)]);
+
+const syntheticTracts = (count, bounds) => {
+  const seeds = {
+    type: 'FeatureCollection',
+    features: randomPoints(count, bounds, seeded(42)).map(coordinates => ({
+      type: 'Feature',
+      properties: {},
+      geometry: { type: 'Point', coordinates },
+    })),
+  };
+
+  return {
+    type: 'FeatureCollection',
+    features: voronoi(seeds, { bbox: bounds }).features.filter(Boolean).map((cell, i) => ({
+      type: 'Feature',
+      properties: { percentile: i / count },
+      geometry: { type: 'Polygon', coordinates: [densify(cell.geometry.coordinates[0])] },
+    })),
+  };
+};
+
+// The lookup and ranking as they were before the R-tree.
+const linearTractLookup = (tracts) => {
+  const indexed = tracts.features.map(tract => ({ tract, box: bbox(tract) }));
+  return ([lon, lat]) => {
+    const hit = indexed.find(({ tract, box }) =>
+      lon >= box[0] && lon <= box[2] && lat >= box[1] && lat <= box[3] &&
+      booleanPointInPolygon([lon, lat], tract)
+    );
+    return hit ? hit.tract.properties.percentile : null;
+  };
+};
+
+const time = (run) => {
+  const start = performance.now();
+  const result = run();
+  return { ms: performance.now() - start, result };
+};
+
+const round = (ms) => Number(ms.toFixed(1));
+
+test('benchmarks the indexed analysis on the county dataset', () => {
+  const raw = JSON.parse(fs.readFileSync(path.join(__dirname, '../geo_data/Parks_SD.geojson'), 'utf8'));
+  const parks = toWgs84(raw);
+  const rows = [];
+
+  [['county', COUNTY_BOUNDS, COUNTY_TRACTS], ['4x area', WIDE_BOUNDS, COUNTY_TRACTS * 4]].forEach(([label, bounds, count]) => {
+    const tracts = syntheticTracts(count, bounds);
+    const points = randomPoints(LOOKUPS, COUNTY_BOUNDS, seeded(7));
+    const origins = points.slice(0, PLANS);
+
+    const linear = linearTractLookup(tracts);
+    const build = time(() => {
+      const analysis = createAnalysis();
+      analysis.loadTracts(tracts);
+      analysis.loadParks(parks);
+      return analysis;
+    });
+    const indexed = createTractLookup(tracts);
+    // Warm up both lookups so the first timed run doesn't pay for JIT compilation.
+    points.slice(0, 100).forEach(point => {
+      linear(point);
+      indexed(point);
+    });
+
+    const linearLookups = time(() => points.map(linear));
+    const indexedLookups = time(() => points.map(indexed));
+    expect(indexedLookups.result).toEqual(linearLookups.result);
+
+    const linearPlans = time(() => origins.map(origin =>
+      rankParks({ parks, origin, tractLookup: linear, maxDistance: 2 }).length
+    ));
+    const indexedPlans = time(() => origins.map(origin => build.result.rank({ origin, maxDistance: 2 }).length));
+    expect(indexedPlans.result).toEqual(linearPlans.result);
+
+    rows.push(
+      { dataset: label, step: 'build indexes (once)', ms: round(build.ms) },
+      { dataset: label, step: `${LOOKUPS} tract lookups, linear`, ms: round(linearLookups.ms) },
+      { dataset: label, step: `${LOOKUPS} tract lookups, R-tree`, ms: round(indexedLookups.ms) },
+      { dataset: label, step: `${PLANS} rankings, linear`, ms: round(linearPlans.ms) },
+      { dataset: label, step: `${PLANS} rankings, indexed`, ms: round(indexedPlans.ms) },
+    );
+  });
+
+  console.log(`${parks.features.length} parks`);
+  console.table(rows);
+});
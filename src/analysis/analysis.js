@@ -0,0 +1,87 @@
+import { createTractLookup } from '../scoring/exposure';
+import { rankParks } from '../scoring/parkRanking';
+import { createReachLookup } from '../planning/isochrones';
+import { createParkIndex } from './spatialIndex';
+import { analyzeParkAccess } from './parkAccess';
+
+/**
+ * Indexes tracts and parks once per load and answers ranking and park-access
+ * queries against them. This runs inside the analysis worker (or on the main
+ * thread when workers are unavailable), so results refer to parks and tracts
+ * by their position in `features` instead of carrying the geometry back.
+ */
+export const createAnalysis = () => {
+  let tracts = null;
+  let tractLookup = null;
+  let parkIndex = null;
+  let positions = new Map();
+
+  return {
+    loadTracts: (tractCollection) => {
+      tracts = tractCollection;
+      tractLookup = createTractLookup(tracts);
+    },
+    loadParks: (parks) => {
+      parkIndex = createParkIndex(parks);
+      positions = new Map((parkIndex?.items || []).map(item => [item.feature, item.position]));
+    },
+    rank: ({
+      origin,
+      amenities,
+      excludeParkIds,
+      weights,
+      maxDistance,
+      isochrones,
+      maxMinutes,
+      evening,
+      limit = Infinity,
+    }) => {
+      if (!parkIndex) return [];
+
+      return rankParks({
+        parkIndex,
+        origin,
+        tractLookup,
+        amenities,
+        excludeParkIds,
+        weights,
+        maxDistance,
+        reach: isochrones ? createReachLookup(isochrones) : undefined,
+        maxMinutes,
+        evening,
+      })
+        .slice(0, limit)
+        .map(({ park, ...rest }) => ({ ...rest, parkPosition: positions.get(park) }));
+    },
+    parkAccess: ({ distance, amenities }) => analyzeParkAccess({ tracts, parkIndex, distance, amenities }),
+  };
+};
+
+// Puts the park features back on results returned by `rank`.
+export const attachParks = (results, parks) =>
+  results.map(({ parkPosition, ...rest }) => ({ ...rest, park: parks.features[parkPosition] }));
+
+// Puts the tract features back on rows returned by `parkAccess`.
+export const attachTracts = (rows, tracts) =>
+  rows.map(({ tractPosition, ...rest }) => ({ ...rest, tract: tracts.features[tractPosition] }));
+
+// Runs the analysis on the calling thread behind the same asynchronous
+// interface as the worker client (see analysisClient).
+export const createInlineAnalysis = () => {
+  const analysis = createAnalysis();
+  let tracts = null;
+  let parks = null;
+
+  return {
+    loadTracts: (tractCollection) => {
+      tracts = tractCollection;
+      analysis.loadTracts(tracts);
+    },
+    loadParks: (parkCollection) => {
+      parks = parkCollection;
+      analysis.loadParks(parks);
+    },
+    rank: async (options) => (parks ? attachParks(analysis.rank(options), parks) : []),
+    parkAccess: async (options) => (tracts ? attachTracts(analysis.parkAccess(options), tracts) : []),
+  };
+};
@@ -0,0 +1,54 @@
+import { bboxPolygon } from '@turf/turf';
+import { createAnalysis, createInlineAnalysis, attachParks } from './analysis';
+import { bufferIsochrones } from '../planning/isochrones';
+
+const parks = {
+  type: 'FeatureCollection',
+  features: [
+    bboxPolygon([-117.161, 32.715, -117.16, 32.716], { properties: { common_name: 'NEAR', acres: 5 } }),
+    bboxPolygon([-117.131, 32.715, -117.13, 32.716], { properties: { common_name: 'FAR', acres: 5 } }),
+    bboxPolygon([-116.5, 32.715, -116.49, 32.716], { properties: { common_name: 'OUT OF REACH', acres: 5 } }),
+  ],
+};
+const tracts = {
+  type: 'FeatureCollection',
+  features: [bboxPolygon([-117.2, 32.7, -117.1, 32.72], { properties: { percentile: 0.8 } })],
+};
+const origin = [-117.16, 32.71];
+
+const names = (results) => results.map(({ park }) => park.properties.common_name);
+
+test('ranks against the indexed parks and tracts', () => {
+  const analysis = createAnalysis();
+  analysis.loadTracts(tracts);
+  analysis.loadParks(parks);
+
+  const results = attachParks(analysis.rank({ origin, maxDistance: 2 }), parks);
+  expect(names(results).sort()).toEqual(['FAR', 'NEAR']);
+  expect(results[0].percentile).toBe(0.8);
+  expect(analysis.rank({ origin, maxDistance: 2, limit: 1 })).toHaveLength(1);
+});
+
+test('limits parks to the isochrone budget', () => {
+  const analysis = createAnalysis();
+  analysis.loadParks(parks);
+
+  const isochrones = bufferIsochrones(origin, { pace: 20 });
+  const results = attachParks(analysis.rank({ origin, isochrones, maxMinutes: 10 }), parks);
+  expect(names(results)).toEqual(['NEAR']);
+  expect(results[0].minutes).toBe(5);
+});
+
+test('returns nothing before parks are loaded', () => {
+  expect(createAnalysis().rank({ origin })).toEqual([]);
+});
+
+test('reports park access per tract with the tract attached', async () => {
+  const analysis = createInlineAnalysis();
+  analysis.loadTracts(tracts);
+  analysis.loadParks(parks);
+
+  const [row] = await analysis.parkAccess({ distance: 1 });
+  expect(row.tract).toBe(tracts.features[0]);
+  expect(row).toMatchObject({ percentile: 0.8, reachableParks: 1 });
+});
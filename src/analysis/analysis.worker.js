@@ -0,0 +1,18 @@
+/* eslint-disable no-restricted-globals */
+import { createAnalysis } from './analysis';
+
+const analysis = createAnalysis();
+
+self.onmessage = ({ data }) => {
+  if (data.type === 'loadTracts') {
+    analysis.loadTracts(data.tracts);
+  } else if (data.type === 'loadParks') {
+    analysis.loadParks(data.parks);
+  } else if (data.type === 'rank' || data.type === 'parkAccess') {
+    try {
+      self.postMessage({ id: data.id, results: analysis[data.type](data.options) });
+    } catch (error) {
+      self.postMessage({ id: data.id, error: error.message });
+    }
+  }
+};
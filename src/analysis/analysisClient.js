@@ -0,0 +1,84 @@
+import { attachParks, attachTracts, createInlineAnalysis } from './analysis';
+
+const WORKER_FAILED = 'The analysis failed. Please try again.';
+
+/**
+ * Runs the park ranking in a Web Worker so indexing and scoring never block
+ * the map. Tracts and parks are handed over once with `loadTracts` and
+ * `loadParks`; `rank` takes rankParks-style options (plus `isochrones` and
+ * `limit`) and resolves to results with the park features attached, and
+ * `parkAccess` takes `{ distance, amenities }` and resolves to per-tract rows
+ * with the tract features attached (see analysis/parkAccess).
+ *
+ * If the worker fails to load or crashes, the requests it had are rejected
+ * and the analysis runs inline from then on.
+ */
+export const createAnalysisClient = () => {
+  if (typeof Worker === 'undefined') return createInlineAnalysis();
+
+  const worker = new Worker(new URL('./analysis.worker.js', import.meta.url));
+  const pending = new Map();
+  let tracts = null;
+  let parks = null;
+  let nextId = 0;
+  let inline = null;
+
+  const fallBackInline = (message) => {
+    if (inline) return;
+    worker.terminate();
+    inline = createInlineAnalysis();
+    if (tracts) inline.loadTracts(tracts);
+    if (parks) inline.loadParks(parks);
+
+    pending.forEach(request => request.reject(new Error(message)));
+    pending.clear();
+  };
+
+  worker.onerror = (event) => {
+    console.error('Analysis worker failed, running the analysis inline:', event.message);
+    fallBackInline(WORKER_FAILED);
+  };
+  worker.onmessageerror = () => {
+    console.error('Analysis worker sent an unreadable message, running the analysis inline');
+    fallBackInline(WORKER_FAILED);
+  };
+
+  worker.onmessage = ({ data }) => {
+    const request = pending.get(data.id);
+    if (!request) return;
+    pending.delete(data.id);
+
+    if (data.error) request.reject(new Error(data.error));
+    else request.resolve(request.attach(data.results));
+  };
+
+  // Results are positions in the collections the worker had when it ran.
+  const post = (type, options, attach) => new Promise((resolve, reject) => {
+    const id = nextId++;
+    pending.set(id, { resolve, reject, attach });
+    worker.postMessage({ type, id, options });
+  });
+
+  return {
+    loadTracts: (tractCollection) => {
+      tracts = tractCollection;
+      if (inline) inline.loadTracts(tracts);
+      else worker.postMessage({ type: 'loadTracts', tracts });
+    },
+    loadParks: (parkCollection) => {
+      parks = parkCollection;
+      if (inline) inline.loadParks(parks);
+      else worker.postMessage({ type: 'loadParks', parks });
+    },
+    rank: (options) => {
+      if (inline) return inline.rank(options);
+      const current = parks;
+      return post('rank', options, results => attachParks(results, current));
+    },
+    parkAccess: (options) => {
+      if (inline) return inline.parkAccess(options);
+      const current = tracts;
+      return post('parkAccess', options, rows => attachTracts(rows, current));
+    },
+  };
+};
@@ -0,0 +1,140 @@
+import { centroid, distance } from '@turf/turf';
+import { matchesAmenities } from '../parks/facilities';
+import { PERCENTILE_RAMP } from '../layers/hpiIndicators';
+import { boxAround, searchBox } from './spatialIndex';
+
+export const ACCESS_DISTANCES = [0.25, 0.5, 1, 2]; // miles
+export const DEFAULT_ACCESS_DISTANCE = 0.5;
+
+// Columns of the gap analysis. `higherIsBetter` orients the choropleth so
+// park deserts always show in red.
+export const ACCESS_METRICS = [
+  { id: 'reachableAcres', label: 'Park acres within reach', higherIsBetter: true },
+  { id: 'nearestMiles', label: 'Miles to nearest park', higherIsBetter: false },
+  { id: 'percentile', label: 'Clean environment percentile', higherIsBetter: true },
+];
+
+const MAX_SEARCH_MILES = 64;
+
+export const tractId = (tract) => {
+  const geoid = tract.properties?.geoid ?? tract.properties?.GEOID;
+  return geoid === undefined || geoid === null ? null : String(geoid).padStart(11, '0');
+};
+
+// The closest indexed park to `point` matching `amenities`, searching boxes
+// of doubling size. A hit within the box's radius is the nearest overall.
+const nearestPark = (parkIndex, point, amenities) => {
+  for (let radius = 1; radius <= MAX_SEARCH_MILES; radius *= 2) {
+    const hits = searchBox(parkIndex, boxAround(point, radius))
+      .filter(item => matchesAmenities(item.feature.properties, amenities))
+      .map(item => ({ item, miles: distance(point, item.center, { units: 'miles' }) }))
+      .filter(hit => hit.miles <= radius);
+    if (hits.length) return hits.reduce((best, hit) => (hit.miles < best.miles ? hit : best));
+  }
+  return null;
+};
+
+/**
+ * Park access for every tract, measured in a straight line from the tract's
+ * centroid to park centers (see createParkIndex):
+ *
+ *   reachableAcres   acres of park within `distance` miles
+ *   reachableParks   how many parks that is
+ *   nearestMiles     miles to the nearest park with every one of `amenities`
+ *   nearestPark      that park's name
+ *   percentile       the tract's HPI percentile (clean_enviro for planning tracts)
+ *
+ * Rows refer to tracts by their position in `tracts.features`.
+ */
+export const analyzeParkAccess = ({ tracts, parkIndex, distance: miles = DEFAULT_ACCESS_DISTANCE, amenities = [] }) => {
+  if (!tracts?.features || !parkIndex) return [];
+
+  return tracts.features.flatMap((tract, tractPosition) => {
+    if (!tract.geometry) return [];
+
+    const point = centroid(tract).geometry.coordinates;
+    const reachable = searchBox(parkIndex, boxAround(point, miles))
+      .filter(item => distance(point, item.center, { units: 'miles' }) <= miles);
+    const nearest = nearestPark(parkIndex, point, amenities);
+    const { percentile } = tract.properties || {};
+
+    return [{
+      tractPosition,
+      geoid: tractId(tract),
+      percentile: typeof percentile === 'number' ? percentile : null,
+      reachableAcres: reachable.reduce((sum, item) => sum + (item.feature.properties.acres || 0), 0),
+      reachableParks: reachable.length,
+      nearestMiles: nearest ? nearest.miles : null,
+      nearestPark: nearest
+        ? nearest.item.feature.properties.full_name || nearest.item.feature.properties.common_name || null
+        : null,
+    }];
+  });
+};
+
+// Sorts rows on one column; tracts without a value go last either way.
+export const sortAccessRows = (rows, column, ascending = true) =>
+  [...rows].sort((a, b) => {
+    if (a[column] === null || b[column] === null) return (a[column] === null) - (b[column] === null);
+    if (a[column] < b[column]) return ascending ? -1 : 1;
+    if (a[column] > b[column]) return ascending ? 1 : -1;
+    return 0;
+  });
+
+/**
+ * Quantile classes for a choropleth of `metric`: `breaks` are the lower
+ * bounds of every class after the first, `colors` run from the worst class to
+ * the best along the percentile ramp.
+ */
+export const accessClasses = (rows, metric, classes = 5) => {
+  const values = rows.map(row => row[metric]).filter(value => value !== null).sort((a, b) => a - b);
+  const breaks = [...new Set(
+    Array.from({ length: classes - 1 }, (_, i) => values[Math.floor(((i + 1) * values.length) / classes)])
+  )].filter(value => value !== undefined && value > values[0]);
+
+  const ramp = PERCENTILE_RAMP.map(([, color]) => color);
+  const { higherIsBetter } = ACCESS_METRICS.find(option => option.id === metric);
+  const colors = Array.from({ length: breaks.length + 1 }, (_, i) =>
+    ramp[breaks.length ? Math.round((i * (ramp.length - 1)) / breaks.length) : ramp.length - 1]
+  );
+
+  return { breaks, colors: higherIsBetter ? colors : colors.reverse() };
+};
+
+export const accessColorExpression = (metric, { breaks, colors }) => [
+  'case',
+  ['==', ['get', metric], null],
+  '#777777',
+  ['step', ['get', metric], colors[0], ...breaks.flatMap((value, i) => [value, colors[i + 1]])],
+];
+
+const csvValue = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * The analysis as CSV, one row per tract, for spreadsheets and grant
+ * applications. Column names spell out the distance and amenities used.
+ */
+export const parkAccessToCsv = (rows, { distance: miles, amenities = [] }) => {
+  const header = [
+    'geoid',
+    'clean_enviro_percentile',
+    `park_acres_within_${miles}_mi`,
+    `parks_within_${miles}_mi`,
+    amenities.length ? `nearest_park_with_${amenities.join('_')}_mi` : 'nearest_park_mi',
+    'nearest_park',
+  ];
+  const lines = rows.map(row => [
+    row.geoid,
+    row.percentile,
+    row.reachableAcres.toFixed(2),
+    row.reachableParks,
+    row.nearestMiles === null ? null : row.nearestMiles.toFixed(2),
+    row.nearestPark,
+  ]);
+
+  return [header, ...lines].map(line => line.map(csvValue).join(',')).join('\r\n');
+};
@@ -0,0 +1,78 @@
+import { bboxPolygon } from '@turf/turf';
+import { createParkIndex } from './spatialIndex';
+import { analyzeParkAccess, sortAccessRows, accessClasses, parkAccessToCsv } from './parkAccess';
+
+const park = (west, properties) => bboxPolygon([west, 32.715, west + 0.001, 32.716], { properties });
+
+// About 0.03 mi, 1.7 mi and 30 mi east of the first tract's centroid.
+const parkIndex = createParkIndex({
+  type: 'FeatureCollection',
+  features: [
+    park(-117.161, { common_name: 'POCKET', acres: 1.5 }),
+    park(-117.131, { common_name: 'PLAYGROUND', acres: 10, playground: 1 }),
+    park(-116.64, { common_name: 'FAR', acres: 500 }),
+  ],
+});
+
+const tracts = {
+  type: 'FeatureCollection',
+  features: [
+    bboxPolygon([-117.17, 32.71, -117.15, 32.72], { properties: { geoid: 6073000100, percentile: 0.4 } }),
+    bboxPolygon([-116.9, 32.71, -116.88, 32.72], { properties: { geoid: '06073000200', percentile: 0.9 } }),
+    { type: 'Feature', properties: { geoid: '06073000300' }, geometry: null },
+  ],
+};
+
+test('measures acres in reach and the nearest park with the amenities', () => {
+  const [near, remote] = analyzeParkAccess({ tracts, parkIndex, distance: 0.5, amenities: ['playground'] });
+
+  expect(near).toMatchObject({
+    tractPosition: 0,
+    geoid: '06073000100',
+    percentile: 0.4,
+    reachableAcres: 1.5,
+    reachableParks: 1,
+    nearestPark: 'PLAYGROUND',
+  });
+  expect(near.nearestMiles).toBeCloseTo(1.7, 1);
+  expect(remote).toMatchObject({ tractPosition: 1, reachableAcres: 0, reachableParks: 0, nearestPark: 'PLAYGROUND' });
+});
+
+test('skips tracts without geometry and reports no match as null', () => {
+  const rows = analyzeParkAccess({ tracts, parkIndex, amenities: ['tennis'] });
+
+  expect(rows).toHaveLength(2);
+  expect(rows[0]).toMatchObject({ nearestMiles: null, nearestPark: null });
+  expect(analyzeParkAccess({ tracts, parkIndex: null })).toEqual([]);
+});
+
+test('sorts with missing values last', () => {
+  const rows = [{ nearestMiles: 2 }, { nearestMiles: null }, { nearestMiles: 1 }];
+
+  expect(sortAccessRows(rows, 'nearestMiles').map(row => row.nearestMiles)).toEqual([1, 2, null]);
+  expect(sortAccessRows(rows, 'nearestMiles', false).map(row => row.nearestMiles)).toEqual([2, 1, null]);
+});
+
+test('colors the worst class red whichever way the metric runs', () => {
+  const rows = [0, 0, 0, 2, 5, 8, 12, 20, 40, 80].map((value, i) => ({ reachableAcres: value, nearestMiles: i }));
+
+  const acres = accessClasses(rows, 'reachableAcres');
+  expect(acres.breaks).toEqual([5, 12, 40]);
+  expect(acres.colors[0]).toBe('#8b0000');
+
+  const nearest = accessClasses(rows, 'nearestMiles');
+  expect(nearest.colors[nearest.colors.length - 1]).toBe('#8b0000');
+});
+
+test('exports one CSV row per tract', () => {
+  const csv = parkAccessToCsv([
+    { geoid: '06073000100', percentile: 0.4, reachableAcres: 1.5, reachableParks: 1, nearestMiles: 1.712, nearestPark: 'Park, "North"' },
+    { geoid: '06073000200', percentile: null, reachableAcres: 0, reachableParks: 0, nearestMiles: null, nearestPark: null },
+  ], { distance: 0.5, amenities: ['playground'] });
+
+  expect(csv.split('\r\n')).toEqual([
+    'geoid,clean_enviro_percentile,park_acres_within_0.5_mi,parks_within_0.5_mi,nearest_park_with_playground_mi,nearest_park',
+    '06073000100,0.4,1.50,1,1.71,"Park, ""North"""',
+    '06073000200,,0.00,0,,',
+  ]);
+});
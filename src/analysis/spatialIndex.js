@@ -0,0 +1,52 @@
+import RBush from 'rbush';
+import { bbox, booleanPointInPolygon, center } from '@turf/turf';
+
+const MILES_PER_DEGREE_LAT = 69.05;
+
+/**
+ * Loads features into an R-tree. Each item keeps the feature, its position in
+ * the input and its bounding box; pass `withCenter` to also store the center
+ * so it isn't recomputed on every query.
+ */
+export const indexFeatures = (features, { withCenter = false } = {}) => {
+  const items = features.map((feature, position) => {
+    const [minX, minY, maxX, maxY] = bbox(feature);
+    return {
+      minX,
+      minY,
+      maxX,
+      maxY,
+      position,
+      feature,
+      center: withCenter ? center(feature).geometry.coordinates : null,
+    };
+  });
+
+  const tree = new RBush();
+  tree.load(items);
+  return { tree, items };
+};
+
+export const searchBox = (index, [west, south, east, north]) =>
+  index.tree.search({ minX: west, minY: south, maxX: east, maxY: north });
+
+/**
+ * The first indexed polygon (in input order) containing `point`, or null.
+ */
+export const findContaining = (index, point) => {
+  const [lon, lat] = point;
+  const hits = searchBox(index, [lon, lat, lon, lat])
+    .filter(item => booleanPointInPolygon(point, item.feature))
+    .sort((a, b) => a.position - b.position);
+  return hits[0] || null;
+};
+
+// A box that contains every point within `miles` of `origin`.
+export const boxAround = ([lon, lat], miles) => {
+  const dLat = miles / MILES_PER_DEGREE_LAT;
+  const dLon = dLat / Math.max(Math.cos((lat * Math.PI) / 180), 0.01);
+  return [lon - dLon, lat - dLat, lon + dLon, lat + dLat];
+};
+
+export const createParkIndex = (parks) =>
+  parks?.features ? indexFeatures(parks.features, { withCenter: true }) : null;
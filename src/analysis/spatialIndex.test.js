@@ -0,0 +1,33 @@
+import { bboxPolygon, distance, polygon } from '@turf/turf';
+import { indexFeatures, findContaining, boxAround, searchBox } from './spatialIndex';
+
+// An L-shaped tract whose bounding box also covers part of the square next to it.
+const features = [
+  polygon([[[0, 0], [2, 0], [2, 1], [1, 1], [1, 2], [0, 2], [0, 0]]], { id: 'L' }),
+  bboxPolygon([1, 1, 2, 2], { properties: { id: 'square' } }),
+];
+const index = indexFeatures(features, { withCenter: true });
+
+test('finds the polygon containing a point, not just a matching box', () => {
+  expect(findContaining(index, [0.5, 1.5]).feature.properties.id).toBe('L');
+  expect(findContaining(index, [1.5, 1.5]).feature.properties.id).toBe('square');
+  expect(findContaining(index, [3, 3])).toBeNull();
+});
+
+test('stores centers and input positions', () => {
+  expect(index.items[1].center).toEqual([1.5, 1.5]);
+  expect(index.items.map(item => item.position)).toEqual([0, 1]);
+});
+
+test('boxes cover every point within the given distance', () => {
+  const origin = [-117.16, 32.71];
+  const [west, south, east, north] = boxAround(origin, 2);
+  [[west, origin[1]], [east, origin[1]], [origin[0], south], [origin[0], north]].forEach(edge => {
+    expect(distance(origin, edge, { units: 'miles' })).toBeGreaterThan(1.99);
+  });
+});
+
+test('searches by bounding box', () => {
+  expect(searchBox(index, [1.6, 1.6, 1.7, 1.7])).toHaveLength(2);
+  expect(searchBox(index, [0.1, 0.1, 0.2, 0.2])).toHaveLength(1);
+});
@@ -0,0 +1,108 @@
+import axios from 'axios';
+import { withRetry } from './retry';
+
+// Shoelace sum; positive for clockwise rings in lon/lat (y up).
+const ringOrientation = (ring) => {
+  let sum = 0;
+  for (let i = 1; i < ring.length; i++) {
+    sum += (ring[i][0] - ring[i - 1][0]) * (ring[i][1] + ring[i - 1][1]);
+  }
+  return sum;
+};
+
+const isClockwise = (ring) => ringOrientation(ring) > 0;
+
+const closeRing = (ring) => {
+  const first = ring[0];
+  const last = ring[ring.length - 1];
+  return first[0] === last[0] && first[1] === last[1] ? ring : [...ring, first];
+};
+
+const ringContainsPoint = (ring, [x, y]) => {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if ((yi > y) !== (yj > y) && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+};
+
+/**
+ * Converts ArcGIS `rings` into a GeoJSON Polygon or MultiPolygon. ArcGIS
+ * outer rings are clockwise and holes counter-clockwise; each hole goes to the
+ * outer ring that contains it. GeoJSON wants the opposite winding, so every
+ * ring is reversed. A hole that no outer ring contains is kept as an outer
+ * ring rather than dropped.
+ */
+export const ringsToGeometry = (rings) => {
+  const outers = [];
+  const holes = [];
+
+  rings
+    .filter(ring => ring.length >= 3)
+    .map(closeRing)
+    .forEach(ring => (isClockwise(ring) ? outers : holes).push(ring));
+
+  const polygons = outers.map(outer => [outer]);
+  holes.forEach(hole => {
+    const owner = polygons.find(([outer]) => ringContainsPoint(outer, hole[0]));
+    if (owner) owner.push(hole);
+    else polygons.push([hole]);
+  });
+
+  const rewound = polygons.map(polygon => polygon.map(ring => [...ring].reverse()));
+  if (rewound.length === 0) return null;
+  if (rewound.length === 1) return { type: 'Polygon', coordinates: rewound[0] };
+  return { type: 'MultiPolygon', coordinates: rewound };
+};
+
+export const arcgisFeatureToGeoJSON = (feature) => ({
+  type: 'Feature',
+  geometry: feature.geometry?.rings ? ringsToGeometry(feature.geometry.rings) : null,
+  properties: feature.attributes,
+});
+
+/**
+ * Pages through an ArcGIS FeatureServer query with `resultOffset` until the
+ * server stops reporting `exceededTransferLimit`, retrying each page with
+ * backoff. Returns a GeoJSON FeatureCollection in WGS84.
+ */
+export const fetchArcgisFeatures = async (url, { where = '1=1', pageSize = 1000, retries = 3 } = {}) => {
+  const features = [];
+
+  for (let offset = 0; ; ) {
+    const data = await withRetry(async () => {
+      const response = await axios.get(url, {
+        params: {
+          where,
+          outFields: '*',
+          outSR: '4326',
+          resultOffset: offset,
+          resultRecordCount: pageSize,
+          orderByFields: 'objectid',
+          f: 'json'
+        }
+      });
+
+      // ArcGIS reports query errors with a 200 status and an `error` body.
+      if (response.data.error) {
+        throw new Error(response.data.error.message || 'ArcGIS query failed');
+      }
+      return response.data;
+    }, { retries });
+
+    const page = data.features || [];
+    features.push(...page.map(arcgisFeatureToGeoJSON).filter(feature => feature.geometry));
+    offset += page.length;
+
+    if (!data.exceededTransferLimit || page.length === 0) break;
+  }
+
+  return {
+    type: 'FeatureCollection',
+    features
+  };
+};
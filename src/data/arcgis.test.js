@@ -0,0 +1,46 @@
+import axios from 'axios';
+import { ringsToGeometry, fetchArcgisFeatures } from './arcgis';
+
+jest.mock('axios');
+
+// ArcGIS winding: outer rings clockwise, holes counter-clockwise.
+const outer = (x, y, size) => [[x, y], [x, y + size], [x + size, y + size], [x + size, y], [x, y]];
+const hole = (x, y, size) => [...outer(x, y, size)].reverse();
+
+test('keeps a hole inside its outer ring', () => {
+  const geometry = ringsToGeometry([outer(0, 0, 10), hole(2, 2, 2)]);
+  expect(geometry.type).toBe('Polygon');
+  expect(geometry.coordinates).toHaveLength(2);
+});
+
+test('emits a MultiPolygon for multi-part parks and assigns holes to the right part', () => {
+  const geometry = ringsToGeometry([outer(0, 0, 10), outer(20, 0, 10), hole(22, 2, 2)]);
+  expect(geometry.type).toBe('MultiPolygon');
+  expect(geometry.coordinates[0]).toHaveLength(1);
+  expect(geometry.coordinates[1]).toHaveLength(2);
+});
+
+test('rewinds rings to GeoJSON order', () => {
+  const [exterior, interior] = ringsToGeometry([outer(0, 0, 10), hole(2, 2, 2)]).coordinates;
+  // GeoJSON exteriors are counter-clockwise: the shoelace sum is negative.
+  const orientation = (ring) => ring.slice(1).reduce((sum, [x, y], i) => sum + (x - ring[i][0]) * (y + ring[i][1]), 0);
+  expect(orientation(exterior)).toBeLessThan(0);
+  expect(orientation(interior)).toBeGreaterThan(0);
+});
+
+test('pages until the server stops exceeding the transfer limit', async () => {
+  const page = (ids, exceededTransferLimit) => ({
+    data: {
+      exceededTransferLimit,
+      features: ids.map(objectid => ({ attributes: { objectid }, geometry: { rings: [outer(0, 0, 1)] } })),
+    },
+  });
+  axios.get
+    .mockResolvedValueOnce(page([1, 2], true))
+    .mockResolvedValueOnce(page([3], false));
+
+  const collection = await fetchArcgisFeatures('https://example.test/query', { pageSize: 2 });
+
+  expect(collection.features.map(feature => feature.properties.objectid)).toEqual([1, 2, 3]);
+  expect(axios.get.mock.calls[1][1].params.resultOffset).toBe(2);
+});
@@ -0,0 +1,10 @@
+import { center } from '@turf/turf';
+
+export const isWithinBounds = ([lon, lat], [west, south, east, north]) =>
+  lon >= west && lon <= east && lat >= south && lat <= north;
+
+// Keeps the features whose center falls inside `bounds` ([west, south, east, north]).
+export const featuresWithin = (collection, bounds) => ({
+  type: 'FeatureCollection',
+  features: collection.features.filter(feature => isWithinBounds(center(feature).geometry.coordinates, bounds)),
+});
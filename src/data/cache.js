@@ -0,0 +1,71 @@
+const DB_NAME = 'green-routes';
+const STORE_NAME = 'responses';
+
+let databasePromise = null;
+
+const openDatabase = () => {
+  if (typeof indexedDB === 'undefined') return Promise.resolve(null);
+  if (!databasePromise) {
+    databasePromise = new Promise(resolve => {
+      const request = indexedDB.open(DB_NAME, 1);
+      request.onupgradeneeded = () => request.result.createObjectStore(STORE_NAME);
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        console.error('Error opening cache database', request.error);
+        resolve(null);
+      };
+    });
+  }
+  return databasePromise;
+};
+
+const runRequest = async (mode, operation) => {
+  const db = await openDatabase();
+  if (!db) return undefined;
+
+  return new Promise((resolve, reject) => {
+    const request = operation(db.transaction(STORE_NAME, mode).objectStore(STORE_NAME));
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+};
+
+/**
+ * Returns the cached entry for `key` as `{ value, storedAt }`, or null. The
+ * cache is best-effort: without IndexedDB (or on errors) it is always empty.
+ */
+export const readCache = async (key) => {
+  try {
+    return (await runRequest('readonly', store => store.get(key))) || null;
+  } catch (error) {
+    console.error('Error reading cache', error);
+    return null;
+  }
+};
+
+export const writeCache = async (key, value) => {
+  try {
+    await runRequest('readwrite', store => store.put({ value, storedAt: Date.now() }, key));
+  } catch (error) {
+    console.error('Error writing cache', error);
+  }
+};
+
+/**
+ * Serves `key` from the cache while it is younger than `ttl` ms, otherwise
+ * calls `load` and caches the result. A stale entry is still returned if
+ * `load` fails, so a flaky network doesn't blank the map.
+ */
+export const cachedFetch = async (key, ttl, load) => {
+  const cached = await readCache(key);
+  if (cached && Date.now() - cached.storedAt < ttl) return cached.value;
+
+  try {
+    const value = await load();
+    await writeCache(key, value);
+    return value;
+  } catch (error) {
+    if (cached) return cached.value;
+    throw error;
+  }
+};
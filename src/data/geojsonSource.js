@@ -0,0 +1,20 @@
+import bundledParksUrl from '../geo_data/Parks_SD.geojson';
+import { toWgs84, withDeclaredCrs } from './reproject';
+
+// Region profiles refer to files bundled from src/geo_data by name.
+const BUNDLED_ASSETS = {
+  'Parks_SD.geojson': bundledParksUrl,
+};
+
+/**
+ * Fetches a static GeoJSON source from a region profile (`{ url }` or
+ * `{ asset }`, optionally with `crs`) and returns it in WGS84.
+ */
+export const loadGeojsonSource = async (source) => {
+  const url = source.asset ? BUNDLED_ASSETS[source.asset] : source.url;
+  if (!url) throw new Error(`Unknown GeoJSON asset ${source.asset}`);
+
+  const response = await fetch(url);
+  if (!response.ok) throw new Error(`${url} returned ${response.status}`);
+  return toWgs84(withDeclaredCrs(await response.json(), source.crs));
+};
@@ -0,0 +1,23 @@
+import axios from 'axios';
+import { DEFAULT_INDICATOR, DEFAULT_YEAR } from '../layers/hpiIndicators';
+import { tractsInRegion } from '../regions/regions';
+
+const HPI_API_URL = 'https://api.healthyplacesindex.org/api/hpi';
+
+/**
+ * Fetches Healthy Places Index tracts for one indicator and year. HPI covers
+ * all of California; only the tracts in `region` are kept.
+ */
+export const fetchHpiTracts = async ({ indicator = DEFAULT_INDICATOR, year = DEFAULT_YEAR, key, region }) => {
+  const response = await axios.get(HPI_API_URL, {
+    params: {
+      geography: 'tracts',
+      year,
+      indicator,
+      format: 'geojson',
+      key,
+    },
+  });
+
+  return tractsInRegion(response.data, region);
+};
@@ -0,0 +1,42 @@
+import { fetchArcgisFeatures } from './arcgis';
+import { cachedFetch } from './cache';
+import { featuresWithin } from './bounds';
+import { loadGeojsonSource } from './geojsonSource';
+
+const PARKS_CACHE_TTL = 24 * 60 * 60 * 1000; // one day
+const SERVICE_TIMEOUT = 10000; // ms before we give up on a FeatureServer and try the next source
+
+const withTimeout = (promise, ms) =>
+  Promise.race([
+    promise,
+    new Promise((resolve, reject) => setTimeout(() => reject(new Error(`Timed out after ${ms} ms`)), ms)),
+  ]);
+
+const loadParkSource = (parkSource, timeout) =>
+  parkSource.type === 'arcgis'
+    ? withTimeout(
+      cachedFetch(`parks:${parkSource.url}`, PARKS_CACHE_TTL, () => fetchArcgisFeatures(parkSource.url)),
+      timeout
+    )
+    : loadGeojsonSource(parkSource);
+
+/**
+ * Loads a region's parks from the first of its `parks` sources that answers
+ * within `timeout` ms, keeping those inside the region's bounds. Resolves to
+ * `{ collection, label }` where `label` names the source that was used.
+ * `source: 'bundled'` skips the FeatureServers and goes straight to the files.
+ */
+export const loadParks = async (region, { timeout = SERVICE_TIMEOUT, source } = {}) => {
+  const parkSources = region.parks.filter(parkSource => source !== 'bundled' || parkSource.type !== 'arcgis');
+
+  for (const parkSource of parkSources) {
+    try {
+      const collection = await loadParkSource(parkSource, timeout);
+      return { collection: featuresWithin(collection, region.bounds), label: parkSource.label };
+    } catch (error) {
+      console.error(`${parkSource.label} unavailable`, error);
+    }
+  }
+
+  throw new Error(`No parks data is available for ${region.name}.`);
+};
@@ -0,0 +1,102 @@
+// Inverse Lambert Conformal Conic (two standard parallels) on GRS80, after
+// Snyder, "Map Projections: A Working Manual", pp. 107-109. Only the inverse
+// is needed: we read State Plane files and draw in WGS84. NAD83 and WGS84
+// differ by about a meter here, well below what the map can show.
+const GRS80 = { a: 6378137, f: 1 / 298.257222101 };
+const US_SURVEY_FOOT = 1200 / 3937;
+const DEG = Math.PI / 180;
+
+const createLambertInverse = ({ lat1, lat2, lat0, lon0, falseEasting, falseNorthing, unit }) => {
+  const { a, f } = GRS80;
+  const e = Math.sqrt(2 * f - f * f);
+  const m = (phi) => Math.cos(phi) / Math.sqrt(1 - (e * Math.sin(phi)) ** 2);
+  const t = (phi) =>
+    Math.tan(Math.PI / 4 - phi / 2) / ((1 - e * Math.sin(phi)) / (1 + e * Math.sin(phi))) ** (e / 2);
+
+  const m1 = m(lat1 * DEG);
+  const m2 = m(lat2 * DEG);
+  const t1 = t(lat1 * DEG);
+  const t2 = t(lat2 * DEG);
+  const n = (Math.log(m1) - Math.log(m2)) / (Math.log(t1) - Math.log(t2));
+  const F = m1 / (n * t1 ** n);
+  const rho0 = a * F * t(lat0 * DEG) ** n;
+
+  return ([x, y]) => {
+    const dx = x * unit - falseEasting;
+    const dy = rho0 - (y * unit - falseNorthing);
+    const rho = Math.sign(n) * Math.hypot(dx, dy);
+    const theta = Math.atan2(Math.sign(n) * dx, Math.sign(n) * dy);
+    const tValue = (rho / (a * F)) ** (1 / n);
+
+    let phi = Math.PI / 2 - 2 * Math.atan(tValue);
+    for (let i = 0; i < 10; i++) {
+      const next = Math.PI / 2 - 2 * Math.atan(
+        tValue * ((1 - e * Math.sin(phi)) / (1 + e * Math.sin(phi))) ** (e / 2)
+      );
+      if (Math.abs(next - phi) < 1e-12) {
+        phi = next;
+        break;
+      }
+      phi = next;
+    }
+
+    return [(theta / n) / DEG + lon0, phi / DEG];
+  };
+};
+
+// NAD83 / California zone 6 (ftUS)
+const epsg2230 = createLambertInverse({
+  lat1: 33 + 53 / 60,
+  lat2: 32 + 47 / 60,
+  lat0: 32 + 10 / 60,
+  lon0: -116.25,
+  falseEasting: 2000000.0001016,
+  falseNorthing: 500000.0001016,
+  unit: US_SURVEY_FOOT,
+});
+
+const INVERSE_PROJECTIONS = {
+  'EPSG:2230': epsg2230,
+};
+
+// Accepts the CRS names GeoJSON files use in practice, e.g. "EPSG:2230" and
+// "urn:ogc:def:crs:EPSG::2230".
+export const crsCode = (collection) => {
+  const name = collection?.crs?.properties?.name;
+  if (!name) return 'EPSG:4326';
+  const match = /EPSG:+(\d+)/i.exec(name);
+  return match ? `EPSG:${match[1]}` : name;
+};
+
+// Sets the CRS of a collection that doesn't declare one (e.g. from a region profile).
+export const withDeclaredCrs = (collection, crs) =>
+  crs && !collection.crs ? { ...collection, crs: { type: 'name', properties: { name: crs } } } : collection;
+
+const mapCoordinates = (coordinates, project) =>
+  typeof coordinates[0] === 'number'
+    ? project(coordinates)
+    : coordinates.map(inner => mapCoordinates(inner, project));
+
+/**
+ * Returns `collection` in WGS84. Collections without a `crs` member are
+ * assumed to be WGS84 already; unsupported CRSs throw.
+ */
+export const toWgs84 = (collection) => {
+  const code = crsCode(collection);
+  if (code === 'EPSG:4326' || /CRS84/i.test(code)) return collection;
+
+  const project = INVERSE_PROJECTIONS[code];
+  if (!project) throw new Error(`Unsupported CRS ${code}`);
+
+  const { crs, ...rest } = collection;
+  return {
+    ...rest,
+    features: collection.features.map(feature => ({
+      ...feature,
+      geometry: feature.geometry && {
+        ...feature.geometry,
+        coordinates: mapCoordinates(feature.geometry.coordinates, project),
+      },
+    })),
+  };
+};
@@ -0,0 +1,36 @@
+import { toWgs84, crsCode, withDeclaredCrs } from './reproject';
+
+const collection = (coordinates, name = 'EPSG:2230') => ({
+  type: 'FeatureCollection',
+  crs: { type: 'name', properties: { name } },
+  features: [{ type: 'Feature', properties: {}, geometry: { type: 'Point', coordinates } }],
+});
+
+test('reads CRS names', () => {
+  expect(crsCode(collection([0, 0], 'urn:ogc:def:crs:EPSG::2230'))).toBe('EPSG:2230');
+  expect(crsCode({ type: 'FeatureCollection', features: [] })).toBe('EPSG:4326');
+});
+
+test('applies a declared CRS only to files without one', () => {
+  const { crs, ...bare } = collection([0, 0]);
+  expect(crsCode(withDeclaredCrs(bare, 'EPSG:2230'))).toBe('EPSG:2230');
+  expect(crsCode(withDeclaredCrs(collection([0, 0], 'EPSG:4326'), 'EPSG:2230'))).toBe('EPSG:4326');
+  expect(withDeclaredCrs(bare, undefined)).toBe(bare);
+});
+
+test('reprojects California zone VI feet to WGS84', () => {
+  // Oak Park corner; SANDAG lists the park centroid at -117.0830, 32.7325.
+  const [lon, lat] = toWgs84(collection([6305677.838, 1847549.002])).features[0].geometry.coordinates;
+  expect(lon).toBeCloseTo(-117.0830, 2);
+  expect(lat).toBeCloseTo(32.7330, 2);
+});
+
+test('reprojects the projection origin exactly', () => {
+  const [lon, lat] = toWgs84(collection([6561666.667, 1640416.667])).features[0].geometry.coordinates;
+  expect(lon).toBeCloseTo(-116.25, 6);
+  expect(lat).toBeCloseTo(32 + 10 / 60, 6);
+});
+
+test('rejects unknown projections', () => {
+  expect(() => toWgs84(collection([0, 0], 'EPSG:3857'))).toThrow('Unsupported CRS EPSG:3857');
+});
@@ -0,0 +1,16 @@
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Calls `task` until it resolves, waiting `baseDelay * 2^attempt` ms between
+ * attempts. The last error is rethrown once `retries` retries are used up.
+ */
+export const withRetry = async (task, { retries = 3, baseDelay = 500 } = {}) => {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await task(attempt);
+    } catch (error) {
+      if (attempt >= retries) throw error;
+      await sleep(baseDelay * 2 ** attempt);
+    }
+  }
+};
@@ -0,0 +1,145 @@
+import React, { useState } from 'react';
+import { formatDistance } from '../planning/travelModes';
+import { GOAL_TYPES, entryTitle, goalProgress } from './journal';
+
+const RECENT_PLANS = 10;
+
+const formatDate = (iso) =>
+  new Date(iso).toLocaleDateString([], { weekday: 'short', month: 'short', day: 'numeric' });
+
+const buttonStyle = {
+  marginLeft: '4px',
+  padding: '1px 6px',
+  fontSize: '12px',
+  cursor: 'pointer'
+};
+
+// The user's plan history, favorite parks and weekly goal (see history/journal).
+const JournalPanel = ({
+  journal,
+  onShowPlan,
+  onCompletePlan,
+  onRemovePlan,
+  onRouteToFavorite,
+  onRemoveFavorite,
+  onGoalChange,
+}) => {
+  const [open, setOpen] = useState(false);
+  const [goalType, setGoalType] = useState(journal.goal?.type || 'distance');
+  const progress = goalProgress(journal);
+
+  return (
+    <div
+      style={{
+        position: 'absolute',
+        bottom: '30px',
+        right: '20px',
+        width: open ? '280px' : 'auto',
+        maxHeight: '45vh',
+        overflowY: 'auto',
+        padding: '10px',
+        backgroundColor: 'white',
+        borderRadius: '5px',
+        boxShadow: '0 2px 10px rgba(0,0,0,0.3)',
+        fontSize: '13px',
+        textAlign: 'left'
+      }}
+    >
+      <button
+        style={{ border: 'none', background: 'none', padding: 0, fontWeight: 'bold', cursor: 'pointer' }}
+        onClick={() => setOpen(current => !current)}
+      >
+        {open ? '▾' : '▸'} My activity
+        {progress && ` · ${Math.round(progress.fraction * 100)}% of weekly goal`}
+      </button>
+      {open && (
+        <>
+          <div style={{ marginTop: '8px' }}>
+            <strong>Weekly goal:</strong>{' '}
+            <input
+              type="number"
+              min="0"
+              step={goalType === 'distance' ? 0.5 : 1}
+              value={journal.goal?.target ?? ''}
+              placeholder="none"
+              onChange={(e) => onGoalChange(e.target.value === ''
+                ? null
+                : { type: goalType, target: Number(e.target.value) })}
+              style={{ width: '50px' }}
+            />{' '}
+            <select
+              value={goalType}
+              onChange={(e) => {
+                setGoalType(e.target.value);
+                if (journal.goal) onGoalChange({ ...journal.goal, type: e.target.value });
+              }}
+            >
+              {Object.entries(GOAL_TYPES).map(([id, type]) => (
+                <option key={id} value={id}>{type.unit}</option>
+              ))}
+            </select>
+            {progress && (
+              <div style={{ marginTop: '4px' }}>
+                <div style={{ height: '8px', backgroundColor: '#eee', borderRadius: '4px' }}>
+                  <div
+                    style={{
+                      width: `${progress.fraction * 100}%`,
+                      height: '100%',
+                      backgroundColor: '#4CAF50',
+                      borderRadius: '4px'
+                    }}
+                  />
+                </div>
+                <div style={{ color: '#555' }}>
+                  {progress.type === 'distance' ? progress.value.toFixed(1) : progress.value} of {progress.target}{' '}
+                  {GOAL_TYPES[progress.type].unit} this week
+                </div>
+              </div>
+            )}
+          </div>
+          <div style={{ marginTop: '8px' }}>
+            <strong>Favorite parks</strong>
+            {journal.favorites.length === 0 && (
+              <div style={{ color: '#888' }}>Star a park to keep it here.</div>
+            )}
+            {journal.favorites.map(favorite => (
+              <div key={`${favorite.regionId}:${favorite.key}`}>
+                ★ {favorite.name}
+                <button style={buttonStyle} onClick={() => onRouteToFavorite(favorite)}>Go</button>
+                <button style={buttonStyle} onClick={() => onRemoveFavorite(favorite)}>×</button>
+              </div>
+            ))}
+          </div>
+          <div style={{ marginTop: '8px' }}>
+            <strong>Recent plans</strong>
+            {journal.plans.length === 0 && (
+              <div style={{ color: '#888' }}>Plans you build are saved here.</div>
+            )}
+            {journal.plans.slice(0, RECENT_PLANS).map(entry => (
+              <div key={entry.id} style={{ marginTop: '4px' }}>
+                <label>
+                  <input
+                    type="checkbox"
+                    checked={Boolean(entry.completedAt)}
+                    onChange={(e) => onCompletePlan(entry, e.target.checked)}
+                    title="Done"
+                  />{' '}
+                  {entryTitle(entry)}
+                </label>
+                <div style={{ color: '#555', fontSize: '12px' }}>
+                  {formatDate(entry.createdAt)}
+                  {entry.distance !== null && ` · ${formatDistance(entry.distance)}`}
+                  {entry.completedAt && ' · done'}
+                  <button style={buttonStyle} onClick={() => onShowPlan(entry)}>Show</button>
+                  <button style={buttonStyle} onClick={() => onRemovePlan(entry)}>×</button>
+                </div>
+              </div>
+            ))}
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default JournalPanel;
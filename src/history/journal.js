@@ -0,0 +1,173 @@
+import { simplify } from '@turf/turf';
+import { METERS_PER_MILE } from '../planning/travelModes';
+import { parkKey } from '../parks/identity';
+
+/**
+ * The user's activity journal: past plans, favorite parks and a weekly goal.
+ * These helpers are pure and return a new journal; useJournal keeps it in
+ * localStorage.
+ *
+ *   plans      newest first, at most MAX_PLANS and MAX_PLANS_SIZE (see journalEntry)
+ *   favorites  `[{ key, name, center, regionId }]`; park keys are only unique
+ *              within a region, so lookups take the region too
+ *   goal       `{ type: 'distance', target }` in miles, `{ type: 'visits', target }`, or null
+ */
+export const MAX_PLANS = 100;
+
+// Characters of JSON the plans may take. localStorage allows about 5 million
+// per origin, shared with the rest of the app.
+export const MAX_PLANS_SIZE = 2000000;
+
+// About 5 m, in degrees.
+const ROUTE_TOLERANCE = 0.00005;
+
+export const GOAL_TYPES = {
+  distance: { label: 'Distance', unit: 'mi' },
+  visits: { label: 'Park visits', unit: 'visits' },
+};
+
+export const emptyJournal = () => ({ plans: [], favorites: [], goal: null });
+
+const parkName = (properties) => properties.full_name || properties.common_name || 'Park';
+
+// Parks are stored as their attributes and center, which is all a saved plan
+// needs; the polygons stay in the parks data.
+const savedPark = (park, center) => {
+  const { selected, ...properties } = park.properties;
+  return { key: parkKey(park), center, properties };
+};
+
+// Routes keep their line, simplified, but not their turn-by-turn steps.
+const savedRoute = (route) => {
+  const { steps, ...properties } = route.properties;
+  return simplify({ type: 'Feature', properties, geometry: route.geometry }, { tolerance: ROUTE_TOLERANCE });
+};
+
+/**
+ * Turns a plan from the planner into a journal entry with its route and guide.
+ */
+export const journalEntry = ({ plan, route, origin, mode, regionId, now = new Date() }) => ({
+  id: `${now.getTime().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+  createdAt: now.toISOString(),
+  completedAt: null,
+  type: plan.type,
+  regionId,
+  origin,
+  mode,
+  distance: route ? route.properties.distance : null,
+  parks: plan.type === 'Loop'
+    ? plan.stops.map(({ park, center }) => savedPark(park, center))
+    : [savedPark(plan.location, plan.recommendation.center)],
+  route: route && savedRoute(route),
+  guide: plan.guide || null,
+  guideSource: plan.guideSource || null,
+  environmentalRating: plan.environmentalRating ?? null,
+  targetMiles: plan.targetMiles ?? null,
+});
+
+export const entryTitle = (entry) =>
+  entry.type === 'Loop' ? `Loop via ${entry.parks.length} parks` : parkName(entry.parks[0].properties);
+
+// The newest plans that fit in MAX_PLANS_SIZE; the newest is always kept.
+const fitPlans = (plans) => {
+  let size = 0;
+  const overflow = plans.findIndex(entry => (size += JSON.stringify(entry).length) > MAX_PLANS_SIZE);
+  return overflow === -1 ? plans : plans.slice(0, Math.max(1, overflow));
+};
+
+export const addPlan = (journal, entry) => ({
+  ...journal,
+  plans: fitPlans([entry, ...journal.plans].slice(0, MAX_PLANS)),
+});
+
+export const removePlan = (journal, id) => ({
+  ...journal,
+  plans: journal.plans.filter(entry => entry.id !== id),
+});
+
+export const setPlanCompleted = (journal, id, completed, now = new Date()) => ({
+  ...journal,
+  plans: journal.plans.map(entry =>
+    entry.id === id ? { ...entry, completedAt: completed ? now.toISOString() : null } : entry
+  ),
+});
+
+const sameFavorite = (favorite, key, regionId) => favorite.key === key && favorite.regionId === regionId;
+
+export const isFavorite = (journal, key, regionId) =>
+  journal.favorites.some(favorite => sameFavorite(favorite, key, regionId));
+
+export const removeFavorite = (journal, key, regionId) => ({
+  ...journal,
+  favorites: journal.favorites.filter(favorite => !sameFavorite(favorite, key, regionId)),
+});
+
+export const toggleFavorite = (journal, park, center, regionId) => {
+  const key = parkKey(park);
+  return isFavorite(journal, key, regionId)
+    ? removeFavorite(journal, key, regionId)
+    : { ...journal, favorites: [...journal.favorites, { key, name: parkName(park.properties), center, regionId }] };
+};
+
+export const setGoal = (journal, goal) => ({ ...journal, goal });
+
+// Weeks start on Monday, local time.
+export const startOfWeek = (date) => {
+  const start = new Date(date);
+  start.setHours(0, 0, 0, 0);
+  start.setDate(start.getDate() - ((start.getDay() + 6) % 7));
+  return start;
+};
+
+// Keys of every park on a completed plan in the region.
+export const visitedParkKeys = (journal, regionId) => [
+  ...new Set(
+    journal.plans
+      .filter(entry => entry.completedAt && entry.regionId === regionId)
+      .flatMap(entry => entry.parks.map(park => park.key))
+  ),
+];
+
+/**
+ * Progress toward the weekly goal from the plans completed since Monday:
+ * `{ type, target, value, fraction }`, or null without a goal. A loop counts
+ * one visit per park.
+ */
+export const goalProgress = (journal, now = new Date()) => {
+  const { goal } = journal;
+  if (!goal) return null;
+
+  const since = startOfWeek(now);
+  const completed = journal.plans.filter(entry => entry.completedAt && new Date(entry.completedAt) >= since);
+  const value = goal.type === 'distance'
+    ? completed.reduce((sum, entry) => sum + (entry.distance || 0), 0) / METERS_PER_MILE
+    : completed.reduce((sum, entry) => sum + entry.parks.length, 0);
+
+  return { ...goal, value, fraction: goal.target > 0 ? Math.min(1, value / goal.target) : 0 };
+};
+
+const parkFeature = ({ center, properties }) => ({
+  type: 'Feature',
+  properties,
+  geometry: { type: 'Point', coordinates: center },
+});
+
+/**
+ * Rebuilds `{ plan, route }` from a journal entry in the shape the planner
+ * returns, so a saved plan can be shown and exported again.
+ */
+export const planFromEntry = (entry) => {
+  const parks = entry.parks.map(park => ({ park: parkFeature(park), center: park.center }));
+  const plan = entry.type === 'Loop'
+    ? { type: 'Loop', stops: parks, targetMiles: entry.targetMiles }
+    : {
+      type: 'Park',
+      location: parks[0].park,
+      environmentalRating: entry.environmentalRating,
+      recommendation: { ...parks[0], percentile: entry.environmentalRating },
+      guide: entry.guide,
+      guideSource: entry.guideSource,
+    };
+
+  return { plan, route: entry.route };
+};
@@ -0,0 +1,167 @@
+import { bboxPolygon } from '@turf/turf';
+import {
+  emptyJournal,
+  journalEntry,
+  entryTitle,
+  addPlan,
+  removePlan,
+  setPlanCompleted,
+  toggleFavorite,
+  isFavorite,
+  setGoal,
+  startOfWeek,
+  visitedParkKeys,
+  goalProgress,
+  planFromEntry,
+  MAX_PLANS,
+  MAX_PLANS_SIZE,
+} from './journal';
+import { loadJournal, saveJournal } from './useJournal';
+
+const park = (objectid, name) =>
+  bboxPolygon([-117.161, 32.715, -117.16, 32.716], { properties: { objectid, common_name: name, selected: true } });
+
+const route = (distance) => ({
+  type: 'Feature',
+  properties: { distance, steps: [] },
+  geometry: { type: 'LineString', coordinates: [[-117.16, 32.71], [-117.16, 32.715]] },
+});
+
+const parkEntry = (objectid, distance, now) => journalEntry({
+  plan: {
+    type: 'Park',
+    location: park(objectid, `PARK ${objectid}`),
+    recommendation: { center: [-117.1605, 32.7155] },
+    environmentalRating: 0.8,
+    guide: '### Park',
+    guideSource: 'template',
+  },
+  route: route(distance),
+  origin: [-117.16, 32.71],
+  mode: 'walk',
+  regionId: 'san-diego',
+  now,
+});
+
+const loopEntry = (now) => journalEntry({
+  plan: {
+    type: 'Loop',
+    targetMiles: 3,
+    stops: [
+      { park: park(1, 'PARK 1'), center: [-117.1605, 32.7155] },
+      { park: park(2, 'PARK 2'), center: [-117.15, 32.72] },
+    ],
+  },
+  route: route(4828),
+  origin: [-117.16, 32.71],
+  mode: 'run',
+  regionId: 'san-diego',
+  now,
+});
+
+// Wednesday, so Monday and the previous Sunday fall in different weeks.
+const wednesday = new Date(2024, 9, 16, 18, 0);
+
+test('saves the plan with its route and guide, without map state', () => {
+  const entry = parkEntry(1, 1609, wednesday);
+
+  expect(entry).toMatchObject({
+    createdAt: wednesday.toISOString(),
+    completedAt: null,
+    type: 'Park',
+    distance: 1609,
+    guide: '### Park',
+    parks: [{ key: '1', center: [-117.1605, 32.7155] }],
+  });
+  expect(entry.parks[0].properties.selected).toBeUndefined();
+  expect(entry.route.geometry.coordinates).toHaveLength(2);
+  expect(entry.route.properties).toEqual({ distance: 1609 });
+
+  // A dense straight route is saved as its two ends.
+  const coordinates = Array.from({ length: 50 }, (_, i) => [-117.16, 32.71 + i * 0.0001]);
+  const dense = { ...route(1609), geometry: { type: 'LineString', coordinates } };
+  const saved = journalEntry({ plan: planFromEntry(entry).plan, route: dense, now: wednesday });
+  expect(saved.route.geometry.coordinates).toEqual([coordinates[0], coordinates[49]]);
+  expect(entryTitle(entry)).toBe('PARK 1');
+  expect(entryTitle(loopEntry(wednesday))).toBe('Loop via 2 parks');
+});
+
+test('keeps the newest plans first and caps the history', () => {
+  let journal = emptyJournal();
+  for (let i = 0; i < MAX_PLANS + 5; i++) journal = addPlan(journal, { ...parkEntry(1, 100, wednesday), id: String(i) });
+
+  expect(journal.plans).toHaveLength(MAX_PLANS);
+  expect(journal.plans[0].id).toBe(String(MAX_PLANS + 4));
+  expect(removePlan(journal, journal.plans[0].id).plans[0].id).toBe(String(MAX_PLANS + 3));
+});
+
+test('drops the oldest plans when the history outgrows storage', () => {
+  const bigEntry = (id) => ({ ...parkEntry(1, 100, wednesday), id, guide: 'x'.repeat(MAX_PLANS_SIZE / 3) });
+  const journal = ['a', 'b', 'c', 'd'].map(bigEntry).reduce(addPlan, emptyJournal());
+
+  expect(journal.plans.map(entry => entry.id)).toEqual(['d', 'c']);
+  expect(addPlan(emptyJournal(), { ...bigEntry('huge'), guide: 'x'.repeat(MAX_PLANS_SIZE) }).plans).toHaveLength(1);
+});
+
+test('stars and unstars parks', () => {
+  const starred = toggleFavorite(emptyJournal(), park(7, 'SEVEN'), [-117.16, 32.71], 'san-diego');
+  expect(starred.favorites).toEqual([{ key: '7', name: 'SEVEN', center: [-117.16, 32.71], regionId: 'san-diego' }]);
+  expect(isFavorite(starred, '7', 'san-diego')).toBe(true);
+  expect(toggleFavorite(starred, park(7, 'SEVEN'), [-117.16, 32.71], 'san-diego').favorites).toEqual([]);
+
+  // Another region's park 7 is a different park.
+  expect(isFavorite(starred, '7', 'los-angeles')).toBe(false);
+  const both = toggleFavorite(starred, park(7, 'ELM'), [-118.24, 34.05], 'los-angeles');
+  expect(both.favorites.map(favorite => favorite.regionId)).toEqual(['san-diego', 'los-angeles']);
+});
+
+test('counts completed plans since Monday toward the goal', () => {
+  const monday = new Date(2024, 9, 14, 7, 0);
+  const lastSunday = new Date(2024, 9, 13, 7, 0);
+  const oneMile = { ...parkEntry(1, 1609.344, monday), id: 'one-mile' };
+  const loop = { ...loopEntry(monday), id: 'loop' };
+  const lastWeek = { ...parkEntry(3, 3218.688, lastSunday), id: 'last-week' };
+  const unfinished = { ...parkEntry(4, 1000, monday), id: 'unfinished' };
+
+  let journal = [oneMile, loop, lastWeek, unfinished].reduce(addPlan, emptyJournal());
+  journal = setPlanCompleted(journal, 'one-mile', true, monday);
+  journal = setPlanCompleted(journal, 'loop', true, monday);
+  journal = setPlanCompleted(journal, 'last-week', true, lastSunday);
+
+  expect(startOfWeek(wednesday)).toEqual(new Date(2024, 9, 14));
+  expect(goalProgress(journal, wednesday)).toBeNull();
+
+  // 1 mile plus the 3-mile loop; last week's plan doesn't count.
+  const distance = goalProgress(setGoal(journal, { type: 'distance', target: 8 }), wednesday);
+  expect(distance.value).toBeCloseTo(4);
+  expect(distance.fraction).toBeCloseTo(0.5);
+
+  const visits = goalProgress(setGoal(journal, { type: 'visits', target: 2 }), wednesday);
+  expect(visits).toMatchObject({ value: 3, fraction: 1 });
+
+  expect(visitedParkKeys(journal, 'san-diego').sort()).toEqual(['1', '2', '3']);
+  expect(visitedParkKeys(setPlanCompleted(journal, 'last-week', false), 'san-diego')).not.toContain('3');
+  expect(visitedParkKeys(journal, 'los-angeles')).toEqual([]);
+});
+
+test('rebuilds a saved plan for the map', () => {
+  const { plan, route: savedRoute } = planFromEntry(parkEntry(1, 1609, wednesday));
+  expect(plan).toMatchObject({ type: 'Park', environmentalRating: 0.8, guide: '### Park', guideSource: 'template' });
+  expect(plan.location.geometry).toEqual({ type: 'Point', coordinates: [-117.1605, 32.7155] });
+  expect(plan.recommendation.center).toEqual([-117.1605, 32.7155]);
+  expect(savedRoute.properties.distance).toBe(1609);
+
+  const loop = planFromEntry(loopEntry(wednesday)).plan;
+  expect(loop.stops.map(({ park: stop }) => stop.properties.common_name)).toEqual(['PARK 1', 'PARK 2']);
+});
+
+test('survives a reload through localStorage', () => {
+  const journal = setGoal(addPlan(emptyJournal(), parkEntry(1, 1609, wednesday)), { type: 'visits', target: 3 });
+  saveJournal(journal);
+  expect(loadJournal()).toEqual(journal);
+
+  localStorage.setItem('green-routes:journal', '{not json');
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  expect(loadJournal()).toEqual(emptyJournal());
+  console.error.mockRestore();
+});
@@ -0,0 +1,38 @@
+import { useState, useEffect } from 'react';
+import { emptyJournal } from './journal';
+
+const STORAGE_KEY = 'green-routes:journal';
+
+// localStorage rather than IndexedDB: the journal is needed synchronously on
+// the first render, and addPlan keeps it within the quota.
+export const loadJournal = () => {
+  try {
+    const stored = typeof localStorage === 'undefined' ? null : localStorage.getItem(STORAGE_KEY);
+    return stored ? { ...emptyJournal(), ...JSON.parse(stored) } : emptyJournal();
+  } catch (error) {
+    console.error('Error reading the plan history', error);
+    return emptyJournal();
+  }
+};
+
+export const saveJournal = (journal) => {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(journal));
+  } catch (error) {
+    console.error('Error saving the plan history', error);
+  }
+};
+
+/**
+ * The journal (see history/journal) as React state, saved on every change.
+ * Update it with the journal helpers, e.g. `updateJournal(current => addPlan(current, entry))`.
+ */
+export const useJournal = () => {
+  const [journal, updateJournal] = useState(loadJournal);
+
+  useEffect(() => {
+    saveJournal(journal);
+  }, [journal]);
+
+  return [journal, updateJournal];
+};
@@ -0,0 +1,79 @@
+import React from 'react';
+import { HPI_INDICATORS, HPI_YEARS, PERCENTILE_RAMP } from './hpiIndicators';
+
+const LAYER_LABELS = {
+  tracts: 'HPI tracts',
+  bikePaths: 'Bike paths',
+  parks: 'Parks',
+  route: 'Route',
+  reach: 'Reach (10/20/30 min)',
+};
+
+const LayerControl = ({
+  visibility,
+  onToggle,
+  indicator,
+  year,
+  onIndicatorChange,
+  onYearChange,
+  loading,
+  failed,
+  parksSource,
+}) => {
+  const gradient = PERCENTILE_RAMP.map(([stop, color]) => `${color} ${stop * 100}%`).join(', ');
+  const indicatorLabel = HPI_INDICATORS.find(option => option.id === indicator)?.label;
+
+  return (
+    <div
+      style={{
+        position: 'absolute',
+        bottom: '30px',
+        left: '20px',
+        width: '220px',
+        padding: '10px',
+        backgroundColor: 'white',
+        borderRadius: '5px',
+        boxShadow: '0 2px 10px rgba(0,0,0,0.3)',
+        fontSize: '13px',
+        textAlign: 'left'
+      }}
+    >
+      <strong>Layers</strong>
+      {Object.entries(LAYER_LABELS).map(([id, label]) => (
+        <label key={id} style={{ display: 'block' }}>
+          <input type="checkbox" checked={visibility[id]} onChange={() => onToggle(id)} /> {label}
+        </label>
+      ))}
+      <div style={{ marginTop: '8px' }}>
+        <select value={indicator} onChange={(e) => onIndicatorChange(e.target.value)} style={{ width: '140px' }}>
+          {HPI_INDICATORS.map(option => (
+            <option key={option.id} value={option.id}>{option.label}</option>
+          ))}
+        </select>{' '}
+        <select value={year} onChange={(e) => onYearChange(e.target.value)}>
+          {HPI_YEARS.map(option => (
+            <option key={option} value={option}>{option}</option>
+          ))}
+        </select>
+      </div>
+      <div style={{ marginTop: '8px' }}>
+        <div>{indicatorLabel} percentile ({year}){loading && ' · loading…'}</div>
+        {failed && (
+          <div style={{ color: '#8b0000' }}>
+            Couldn't load {indicatorLabel} for {year}. Try again or pick another indicator.
+          </div>
+        )}
+        <div style={{ height: '10px', marginTop: '4px', borderRadius: '2px', background: `linear-gradient(to right, ${gradient})` }} />
+        <div style={{ display: 'flex', justifyContent: 'space-between', color: '#555' }}>
+          <span>Least healthy</span>
+          <span>Healthiest</span>
+        </div>
+      </div>
+      {parksSource && (
+        <div style={{ marginTop: '8px', color: '#555' }}>Parks data: {parksSource}</div>
+      )}
+    </div>
+  );
+};
+
+export default LayerControl;
@@ -0,0 +1,32 @@
+// HPI indicators offered in the layer panel. Planning (route exposure and park
+// ranking) always uses DEFAULT_INDICATOR; the others are for display only.
+export const HPI_INDICATORS = [
+  { id: 'clean_enviro', label: 'Clean environment' },
+  { id: 'hpi', label: 'Overall HPI score' },
+  { id: 'treecanopy', label: 'Tree canopy' },
+  { id: 'parkaccess', label: 'Park access' },
+  { id: 'pm25', label: 'Fine particulates (PM2.5)' },
+  { id: 'ozone', label: 'Ozone' },
+];
+
+export const HPI_YEARS = ['2019', '2015', '2011'];
+
+export const DEFAULT_INDICATOR = 'clean_enviro';
+export const DEFAULT_YEAR = '2019';
+
+// Percentile color ramp shared by the tract layer and its legend. HPI
+// percentiles run from 0 (least healthy) to 1 (healthiest).
+export const PERCENTILE_RAMP = [
+  [0, '#8b0000'], // dark red for worst
+  [0.25, '#ff0000'], // red
+  [0.5, '#ff00ff'], // magenta for middle
+  [0.75, '#0000ff'], // blue
+  [1, '#00008b'], // dark blue for best
+];
+
+export const percentileColorExpression = () => [
+  'interpolate',
+  ['linear'],
+  ['get', 'percentile'],
+  ...PERCENTILE_RAMP.flat(),
+];
@@ -0,0 +1,105 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { searchPlaces } from './geocoder';
+
+const TYPE_LABELS = {
+  park: 'Park',
+  community: 'Community',
+  address: 'Address',
+  geocoder: 'Place',
+};
+
+const LocationSearch = ({ gazetteer, geocoder, onSelect }) => {
+  const [query, setQuery] = useState('');
+  const [results, setResults] = useState([]);
+  // The label of the last pick, which fills the box but shouldn't search again.
+  const selectedLabel = useRef(null);
+
+  useEffect(() => {
+    if (!query.trim() || query === selectedLabel.current) {
+      setResults([]);
+      return undefined;
+    }
+
+    let cancelled = false;
+    // Debounced so the optional geocoder isn't hit on every keystroke.
+    const timeout = setTimeout(async () => {
+      const places = await searchPlaces(query, { gazetteer, geocoder });
+      if (!cancelled) setResults(places);
+    }, 250);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timeout);
+    };
+  }, [query, gazetteer, geocoder]);
+
+  const select = (place) => {
+    selectedLabel.current = place.label;
+    setQuery(place.label);
+    setResults([]);
+    onSelect(place);
+  };
+
+  return (
+    <div style={{ position: 'relative', width: '240px' }}>
+      <input
+        type="search"
+        value={query}
+        placeholder="Start from an address or place"
+        onChange={(e) => setQuery(e.target.value)}
+        onKeyDown={(e) => {
+          if (e.key === 'Enter' && results.length > 0) select(results[0]);
+        }}
+        style={{
+          width: '100%',
+          boxSizing: 'border-box',
+          padding: '8px 10px',
+          fontSize: '14px',
+          border: 'none',
+          borderRadius: '5px'
+        }}
+      />
+      {results.length > 0 && (
+        <ul
+          style={{
+            position: 'absolute',
+            top: '100%',
+            left: 0,
+            right: 0,
+            zIndex: 1,
+            margin: '2px 0 0',
+            padding: 0,
+            listStyle: 'none',
+            backgroundColor: 'white',
+            borderRadius: '5px',
+            boxShadow: '0 2px 10px rgba(0,0,0,0.3)',
+            textAlign: 'left'
+          }}
+        >
+          {results.map(place => (
+            <li key={`${place.type}:${place.label}`}>
+              <button
+                onClick={() => select(place)}
+                style={{
+                  display: 'block',
+                  width: '100%',
+                  padding: '6px 10px',
+                  background: 'none',
+                  border: 'none',
+                  textAlign: 'left',
+                  cursor: 'pointer',
+                  fontSize: '13px'
+                }}
+              >
+                {place.label}{' '}
+                <span style={{ color: '#888', fontSize: '11px' }}>{TYPE_LABELS[place.type]}</span>
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default LocationSearch;
@@ -0,0 +1,42 @@
+import React from 'react';
+import { act, fireEvent, render, screen } from '@testing-library/react';
+import { bboxPolygon } from '@turf/turf';
+import LocationSearch from './LocationSearch';
+import { buildGazetteer } from './gazetteer';
+
+const gazetteer = buildGazetteer({
+  type: 'FeatureCollection',
+  features: [bboxPolygon([-117.16, 32.73, -117.15, 32.74], { properties: { common_name: 'BALBOA PARK' } })],
+});
+
+beforeEach(() => {
+  jest.useFakeTimers();
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+const typeAndWait = async (value) => {
+  fireEvent.change(screen.getByPlaceholderText('Start from an address or place'), { target: { value } });
+  await act(async () => {
+    jest.advanceTimersByTime(300);
+  });
+};
+
+test('closes the list after a pick and keeps it closed', async () => {
+  const onSelect = jest.fn();
+  render(<LocationSearch gazetteer={gazetteer} onSelect={onSelect} />);
+
+  await typeAndWait('balboa');
+  fireEvent.click(screen.getByText('Balboa Park'));
+  await act(async () => {
+    jest.advanceTimersByTime(300);
+  });
+
+  expect(onSelect).toHaveBeenCalledWith(expect.objectContaining({ label: 'Balboa Park' }));
+  expect(screen.queryByRole('list')).toBeNull();
+
+  await typeAndWait('balb');
+  expect(screen.getByRole('list')).toBeInTheDocument();
+});
@@ -0,0 +1,78 @@
+import { center } from '@turf/turf';
+
+const TYPE_ORDER = { park: 0, community: 1, address: 2 };
+
+const normalize = (text) =>
+  String(text)
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+
+// SANDAG names are upper case; this is how the app shows them. A letter after
+// an apostrophe stays lower case ("Children's").
+export const titleCase = (text) =>
+  String(text)
+    .toLowerCase()
+    .replace(/(^|[^a-z'’])([a-z])/g, (match, before, letter) => before + letter.toUpperCase());
+
+// `full_name` is already cased ("McCall", "III"); only the upper-case
+// `common_name` fallback is title-cased.
+export const parkLabel = (properties) =>
+  properties.full_name || (properties.common_name ? titleCase(properties.common_name) : null);
+
+/**
+ * Builds an offline place index from the park features: every park by name
+ * and street address, and every community at the mean of its parks' centers.
+ */
+export const buildGazetteer = (parks) => {
+  if (!parks || !parks.features) return [];
+
+  const entries = [];
+  const communities = new Map();
+
+  parks.features.forEach(park => {
+    const properties = park.properties || {};
+    const coordinates = center(park).geometry.coordinates;
+
+    const name = parkLabel(properties);
+    if (name) entries.push({ label: name, type: 'park', coordinates });
+    if (properties.address_lo) {
+      entries.push({ label: properties.address_lo.replace(/\s+,/g, ','), type: 'address', coordinates });
+    }
+
+    if (properties.community) {
+      const community = communities.get(properties.community) || { lon: 0, lat: 0, count: 0 };
+      community.lon += coordinates[0];
+      community.lat += coordinates[1];
+      community.count += 1;
+      communities.set(properties.community, community);
+    }
+  });
+
+  communities.forEach(({ lon, lat, count }, name) => {
+    entries.push({ label: titleCase(name), type: 'community', coordinates: [lon / count, lat / count] });
+  });
+
+  return entries.map(entry => ({ ...entry, tokens: normalize(entry.label).split(' ') }));
+};
+
+/**
+ * Matches entries whose words start with every word of the query. Labels that
+ * start with the query come first, then parks, communities and addresses.
+ */
+export const searchGazetteer = (gazetteer, query, limit = 8) => {
+  const needle = normalize(query);
+  if (!needle) return [];
+  const queryTokens = needle.split(' ');
+
+  return gazetteer
+    .filter(entry => queryTokens.every(token => entry.tokens.some(word => word.startsWith(token))))
+    .map(entry => ({ entry, prefix: normalize(entry.label).startsWith(needle) ? 0 : 1 }))
+    .sort((a, b) =>
+      a.prefix - b.prefix ||
+      TYPE_ORDER[a.entry.type] - TYPE_ORDER[b.entry.type] ||
+      a.entry.label.localeCompare(b.entry.label)
+    )
+    .slice(0, limit)
+    .map(({ entry }) => ({ label: entry.label, type: entry.type, coordinates: entry.coordinates }));
+};
@@ -0,0 +1,45 @@
+import { bboxPolygon } from '@turf/turf';
+import { buildGazetteer, searchGazetteer } from './gazetteer';
+
+const parks = {
+  type: 'FeatureCollection',
+  features: [
+    bboxPolygon([-117.09, 32.73, -117.08, 32.74], {
+      properties: { common_name: 'OAK PARK NP', full_name: 'Oak Neighborhood Park', address_lo: '5235 Maple St. , 92105', community: 'MID-CITY: EASTERN AREA' },
+    }),
+    bboxPolygon([-117.07, 32.73, -117.06, 32.74], {
+      properties: { common_name: 'MAPLE CANYON', address_lo: '100 Oak Ave', community: 'MID-CITY: EASTERN AREA' },
+    }),
+  ],
+};
+
+const gazetteer = buildGazetteer(parks);
+
+test('indexes parks, addresses and communities', () => {
+  expect(gazetteer.filter(entry => entry.type === 'park')).toHaveLength(2);
+  expect(gazetteer.filter(entry => entry.type === 'address')).toHaveLength(2);
+
+  const [community] = gazetteer.filter(entry => entry.type === 'community');
+  expect(community.label).toBe('Mid-City: Eastern Area');
+  expect(community.coordinates[0]).toBeCloseTo(-117.075);
+});
+
+test('labels parks by their stored full name', () => {
+  const labels = buildGazetteer({
+    type: 'FeatureCollection',
+    features: [
+      bboxPolygon([-117.25, 32.72, -117.24, 32.73], { properties: { common_name: 'MCCALL ST MP', full_name: 'McCall Street Mini-Park' } }),
+      bboxPolygon([-117.16, 32.7, -117.15, 32.71], { properties: { common_name: "CHILDREN'S PARK", community: "KIDS' CORNER" } }),
+    ],
+  }).map(entry => entry.label);
+
+  expect(labels).toEqual(['McCall Street Mini-Park', "Children's Park", "Kids' Corner"]);
+});
+
+test('matches word prefixes and ranks label prefixes first', () => {
+  const labels = searchGazetteer(gazetteer, 'oak').map(place => place.label);
+  expect(labels[0]).toBe('Oak Neighborhood Park');
+  expect(labels).toContain('100 Oak Ave');
+  expect(searchGazetteer(gazetteer, 'mid east').map(place => place.type)).toEqual(['community']);
+  expect(searchGazetteer(gazetteer, '   ')).toEqual([]);
+});
@@ -0,0 +1,43 @@
+import axios from 'axios';
+import { searchGazetteer } from './gazetteer';
+
+/**
+ * Geocoder adapters expose `search(query)` resolving to
+ * `[{ label, type, coordinates }]`. They are optional: place search always
+ * works offline against the gazetteer.
+ */
+export const createMapboxGeocoder = (accessToken, bounds) => ({
+  search: async (query) => {
+    const response = await axios.get(
+      `https://api.mapbox.com/geocoding/v5/mapbox.places/${encodeURIComponent(query)}.json`,
+      {
+        params: {
+          access_token: accessToken,
+          bbox: bounds.join(','),
+          limit: 5,
+        },
+      }
+    );
+
+    return response.data.features.map(feature => ({
+      label: feature.place_name,
+      type: 'geocoder',
+      coordinates: feature.center,
+    }));
+  },
+});
+
+export const searchPlaces = async (query, { gazetteer, geocoder, limit = 8 }) => {
+  const local = searchGazetteer(gazetteer, query, limit);
+  if (!geocoder) return local;
+
+  try {
+    const remote = await geocoder.search(query);
+    // Keep room for remote results without letting them crowd out local ones.
+    const localCount = Math.max(limit - remote.length, Math.ceil(limit / 2));
+    return [...local.slice(0, localCount), ...remote].slice(0, limit);
+  } catch (error) {
+    console.error('Error geocoding place:', error);
+    return local;
+  }
+};
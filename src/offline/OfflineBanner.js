@@ -0,0 +1,32 @@
+import React from 'react';
+import { entryTitle } from '../history/journal';
+
+// Shown while the browser is offline: data comes from the service worker's
+// caches and routes are straight lines (see routing/providers).
+const OfflineBanner = ({ lastPlan, onShowLastPlan }) => (
+  <div
+    role="status"
+    style={{
+      position: 'absolute',
+      bottom: '30px',
+      left: '50%',
+      transform: 'translateX(-50%)',
+      maxWidth: '360px',
+      padding: '6px 10px',
+      backgroundColor: '#333',
+      color: 'white',
+      borderRadius: '5px',
+      fontSize: '13px',
+      textAlign: 'center'
+    }}
+  >
+    <strong>Offline.</strong> Showing saved map data; routes are straight lines until you reconnect.
+    {lastPlan && (
+      <div style={{ marginTop: '4px' }}>
+        <button onClick={() => onShowLastPlan(lastPlan)}>Show last plan: {entryTitle(lastPlan)}</button>
+      </div>
+    )}
+  </div>
+);
+
+export default OfflineBanner;
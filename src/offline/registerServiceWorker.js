@@ -0,0 +1,13 @@
+/**
+ * Registers the service worker (see src/service-worker.js) in production
+ * builds. In development it would cache stale bundles, so it is skipped.
+ */
+export const registerServiceWorker = () => {
+  if (process.env.NODE_ENV !== 'production' || !('serviceWorker' in navigator)) return;
+
+  window.addEventListener('load', () => {
+    navigator.serviceWorker
+      .register(`${process.env.PUBLIC_URL}/service-worker.js`)
+      .catch(error => console.error('Error registering the service worker:', error));
+  });
+};
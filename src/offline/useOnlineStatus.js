@@ -0,0 +1,18 @@
+import { useEffect, useState } from 'react';
+
+// Whether the browser thinks it has a connection, updated on online/offline events.
+export const useOnlineStatus = () => {
+  const [online, setOnline] = useState(() => navigator.onLine !== false);
+
+  useEffect(() => {
+    const update = () => setOnline(navigator.onLine !== false);
+    window.addEventListener('online', update);
+    window.addEventListener('offline', update);
+    return () => {
+      window.removeEventListener('online', update);
+      window.removeEventListener('offline', update);
+    };
+  }, []);
+
+  return online;
+};
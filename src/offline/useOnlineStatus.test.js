@@ -0,0 +1,37 @@
+import React from 'react';
+import { act, render, screen, fireEvent } from '@testing-library/react';
+import { useOnlineStatus } from './useOnlineStatus';
+import OfflineBanner from './OfflineBanner';
+
+const Status = () => (useOnlineStatus() ? 'online' : 'offline');
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+test('follows the browser going offline and back', () => {
+  const onLine = jest.spyOn(navigator, 'onLine', 'get').mockReturnValue(true);
+  render(<Status />);
+  expect(screen.getByText('online')).toBeInTheDocument();
+
+  onLine.mockReturnValue(false);
+  act(() => {
+    window.dispatchEvent(new Event('offline'));
+  });
+  expect(screen.getByText('offline')).toBeInTheDocument();
+
+  onLine.mockReturnValue(true);
+  act(() => {
+    window.dispatchEvent(new Event('online'));
+  });
+  expect(screen.getByText('online')).toBeInTheDocument();
+});
+
+test('offers the last saved plan while offline', () => {
+  const lastPlan = { type: 'Park', parks: [{ properties: { common_name: 'BALBOA PARK' } }] };
+  const onShowLastPlan = jest.fn();
+  render(<OfflineBanner lastPlan={lastPlan} onShowLastPlan={onShowLastPlan} />);
+
+  fireEvent.click(screen.getByText('Show last plan: BALBOA PARK'));
+  expect(onShowLastPlan).toHaveBeenCalledWith(lastPlan);
+});
@@ -0,0 +1,67 @@
+import React from 'react';
+import { Popup } from 'react-map-gl';
+import { formatFacilityName } from './facilities';
+
+const ParkPopup = ({ details, onClose, onRoute, favorite, onToggleFavorite }) => {
+  const { park, center, percentile, facilities } = details;
+  const properties = park.properties;
+
+  return (
+    <Popup
+      longitude={center[0]}
+      latitude={center[1]}
+      anchor="bottom"
+      onClose={onClose}
+      closeOnClick={false}
+      maxWidth="260px"
+    >
+      <div style={{ fontSize: '13px' }}>
+        <h4 style={{ margin: '0 0 6px' }}>{properties.full_name || properties.common_name}</h4>
+        {properties.address_lo && <p style={{ margin: '2px 0' }}>{properties.address_lo}</p>}
+        <p style={{ margin: '2px 0' }}>
+          {properties.desig_use}
+          {typeof properties.acres === 'number' && ` · ${properties.acres.toFixed(2)} acres`}
+        </p>
+        <p style={{ margin: '2px 0' }}>
+          <strong>Environmental Rating:</strong>{' '}
+          {percentile === null ? 'n/a' : `${(percentile * 100).toFixed(2)}%`}
+        </p>
+        {facilities.length > 0 && (
+          <p style={{ margin: '2px 0' }}>
+            <strong>Facilities:</strong> {facilities.map(formatFacilityName).join(', ')}
+          </p>
+        )}
+        <button
+          style={{
+            marginTop: '8px',
+            padding: '6px 10px',
+            backgroundColor: '#4CAF50',
+            color: 'white',
+            border: 'none',
+            borderRadius: '5px',
+            cursor: 'pointer'
+          }}
+          onClick={() => onRoute(details)}
+        >
+          Route me here
+        </button>
+        <button
+          style={{
+            marginTop: '8px',
+            marginLeft: '6px',
+            padding: '6px 10px',
+            backgroundColor: 'white',
+            border: '1px solid #ccc',
+            borderRadius: '5px',
+            cursor: 'pointer'
+          }}
+          onClick={onToggleFavorite}
+        >
+          {favorite ? '★ Favorite' : '☆ Add to favorites'}
+        </button>
+      </div>
+    </Popup>
+  );
+};
+
+export default ParkPopup;
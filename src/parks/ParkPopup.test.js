@@ -0,0 +1,56 @@
+import { fireEvent, render, screen } from '@testing-library/react';
+import ParkPopup from './ParkPopup';
+
+jest.mock('react-map-gl', () => ({
+  Popup: ({ children }) => <div>{children}</div>,
+}));
+
+const details = (properties, percentile = 0.8123) => ({
+  park: { type: 'Feature', properties, geometry: null },
+  center: [-117.16, 32.71],
+  percentile,
+  facilities: ['playground', 'comfort_station'],
+});
+
+const oakPark = {
+  common_name: 'OAK PARK NP',
+  full_name: 'Oak Neighborhood Park',
+  address_lo: '5235 Maple St., 92105',
+  desig_use: 'Neighborhood Park',
+  acres: 3.4888,
+};
+
+test('shows the park name, address, size and rating', () => {
+  render(<ParkPopup details={details(oakPark)} onRoute={jest.fn()} onToggleFavorite={jest.fn()} favorite={false} />);
+
+  expect(screen.getByRole('heading', { name: 'Oak Neighborhood Park' })).toBeInTheDocument();
+  expect(screen.getByText('5235 Maple St., 92105')).toBeInTheDocument();
+  expect(screen.getByText(/3\.49 acres/)).toBeInTheDocument();
+  expect(screen.getByText('81.23%')).toBeInTheDocument();
+  expect(screen.getByText('playground, comfort station')).toBeInTheDocument();
+  expect(screen.getByRole('button', { name: '☆ Add to favorites' })).toBeInTheDocument();
+});
+
+test('leaves out a missing address, size and rating', () => {
+  const { address_lo: address, acres, full_name: fullName, ...bare } = oakPark;
+  render(<ParkPopup details={details(bare, null)} onRoute={jest.fn()} onToggleFavorite={jest.fn()} favorite />);
+
+  expect(screen.getByRole('heading', { name: 'OAK PARK NP' })).toBeInTheDocument();
+  expect(screen.queryByText(address)).toBeNull();
+  expect(screen.queryByText(/acres/)).toBeNull();
+  expect(screen.getByText('n/a')).toBeInTheDocument();
+  expect(screen.getByRole('button', { name: '★ Favorite' })).toBeInTheDocument();
+});
+
+test('routes to the park and toggles the favorite', () => {
+  const onRoute = jest.fn();
+  const onToggleFavorite = jest.fn();
+  const parkDetails = details(oakPark);
+  render(<ParkPopup details={parkDetails} onRoute={onRoute} onToggleFavorite={onToggleFavorite} favorite={false} />);
+
+  fireEvent.click(screen.getByRole('button', { name: 'Route me here' }));
+  expect(onRoute).toHaveBeenCalledWith(parkDetails);
+
+  fireEvent.click(screen.getByRole('button', { name: '☆ Add to favorites' }));
+  expect(onToggleFavorite).toHaveBeenCalledTimes(1);
+});
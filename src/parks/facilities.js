@@ -0,0 +1,68 @@
+// Facility attributes carried by SANDAG park features. Counts are numbers,
+// `field_lighting` and `recycled_water` are 'Y'/'N' flags.
+export const FACILITY_FIELDS = [
+  'tennis',
+  'basketball',
+  'pickleball',
+  'playground',
+  'tot_lot',
+  'baseball_90',
+  'baseball_50_6',
+  'softball',
+  'sand_vball',
+  'multi_purpose',
+  'concession_stand',
+  'comfort_station',
+  'field_lighting',
+  'recycled_water',
+];
+
+export const hasFacility = (properties, field) => {
+  const value = properties?.[field];
+  if (typeof value === 'string') return value.toUpperCase() === 'Y';
+  return Boolean(value);
+};
+
+export const listFacilities = (properties) =>
+  FACILITY_FIELDS.filter(field => hasFacility(properties, field));
+
+export const formatFacilityName = (field) => field.replace(/_/g, ' ');
+
+// User-facing amenity filters. A park matches a filter when it has any of the
+// listed fields.
+export const AMENITY_FILTERS = [
+  { id: 'playground', label: 'Playground', fields: ['playground', 'tot_lot'] },
+  { id: 'restrooms', label: 'Restrooms', fields: ['comfort_station'] },
+  { id: 'lighting', label: 'Field lighting', fields: ['field_lighting', 'field_lighting_cnt'] },
+  { id: 'pickleball', label: 'Pickleball', fields: ['pickleball'] },
+  { id: 'tennis', label: 'Tennis', fields: ['tennis'] },
+  { id: 'basketball', label: 'Basketball', fields: ['basketball'] },
+  { id: 'sand_vball', label: 'Sand volleyball', fields: ['sand_vball'] },
+  { id: 'multi_purpose', label: 'Multi-purpose field', fields: ['multi_purpose'] },
+  { id: 'ball_fields', label: 'Ball fields', fields: ['baseball_90', 'baseball_50_6', 'softball'] },
+];
+
+const amenityFilter = (id) => AMENITY_FILTERS.find(filter => filter.id === id);
+
+export const matchesAmenities = (properties, amenityIds = []) =>
+  amenityIds.every(id => {
+    const filter = amenityFilter(id);
+    return !filter || filter.fields.some(field => hasFacility(properties, field));
+  });
+
+// Mapbox expression equivalent of matchesAmenities, for layer paint/filter use.
+export const amenityFilterExpression = (amenityIds = []) => {
+  const fieldExpression = (field) => [
+    'any',
+    ['==', ['get', field], 'Y'],
+    ['>', ['to-number', ['get', field], 0], 0],
+  ];
+
+  return [
+    'all',
+    ...amenityIds
+      .map(amenityFilter)
+      .filter(Boolean)
+      .map(filter => ['any', ...filter.fields.map(fieldExpression)]),
+  ];
+};
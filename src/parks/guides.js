@@ -0,0 +1,26 @@
+import axios from 'axios';
+import { generateTemplateGuide } from './templateGuide';
+
+/**
+ * Guide providers implement `guide(park, { region }) -> Promise<{ guide, source }>`,
+ * where `region` is the park's region id and `source` is 'ai' or 'template'.
+ */
+export const templateGuides = {
+  guide: async (park) => ({ guide: generateTemplateGuide(park.properties), source: 'template' }),
+};
+
+// AI guides come from our server (see server/), which holds the LLM key,
+// builds the prompt and caches guides per park. Park ids are only unique
+// within a region, so the region goes along. Falls back to the template
+// guide whenever the server can't deliver.
+export const createServerGuides = (endpoint) => ({
+  guide: async (park, { region } = {}) => {
+    try {
+      const response = await axios.get(endpoint, { params: { id: park.properties.objectid, region } });
+      return { guide: response.data.guide, source: 'ai' };
+    } catch (error) {
+      console.error('Error generating park guide:', error);
+      return templateGuides.guide(park);
+    }
+  },
+});
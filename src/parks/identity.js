@@ -0,0 +1,2 @@
+// Parks are identified by their SANDAG objectid, or by name in data without one.
+export const parkKey = (park) => String(park.properties.objectid ?? park.properties.common_name);
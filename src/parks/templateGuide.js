@@ -0,0 +1,89 @@
+import { hasFacility } from './facilities';
+import { parkLabel, titleCase } from '../location/gazetteer';
+
+const MIN_ACTIVITIES = 3;
+const MAX_ACTIVITIES = 4;
+const LARGE_PARK_ACRES = 20;
+
+const count = (properties, field) => {
+  const value = Number(properties[field]);
+  return Number.isFinite(value) ? value : 0;
+};
+
+const plural = (n, singular, pluralForm = `${singular}s`) => `${n} ${n === 1 ? singular : pluralForm}`;
+
+const joinList = (items) =>
+  items.length <= 1 ? items.join('') : `${items.slice(0, -1).join(', ')} and ${items[items.length - 1]}`;
+
+const highlights = (properties) => {
+  const list = [];
+  const courts = (field, label) => {
+    if (count(properties, field) > 0) list.push(`**${plural(count(properties, field), label)}**`);
+  };
+
+  if (hasFacility(properties, 'playground') || hasFacility(properties, 'tot_lot')) list.push('**a playground**');
+  courts('tennis', 'tennis court');
+  courts('pickleball', 'pickleball court');
+  courts('basketball', 'basketball court');
+  courts('sand_vball', 'sand volleyball court');
+  const ballFields = count(properties, 'baseball_90') + count(properties, 'baseball_50_6') + count(properties, 'softball');
+  if (ballFields > 0) list.push(`**${plural(ballFields, 'ball field')}**`);
+  courts('multi_purpose', 'multi-purpose field');
+  if (hasFacility(properties, 'comfort_station')) list.push('**restrooms**');
+
+  return list;
+};
+
+// Candidate activities in priority order; each rule returns a bullet or null.
+const ACTIVITY_RULES = [
+  (p) => (hasFacility(p, 'playground') || hasFacility(p, 'tot_lot')) &&
+    '**Play time:** let the kids burn off energy on the playground',
+  (p) => (count(p, 'pickleball') > 0 || count(p, 'tennis') > 0) &&
+    `**Rally up:** bring a partner for a game on the ${count(p, 'pickleball') > 0 ? 'pickleball' : 'tennis'} courts`,
+  (p) => count(p, 'basketball') > 0 && '**Shoot hoops:** get a pickup game going on the basketball court',
+  (p) => count(p, 'baseball_90') + count(p, 'baseball_50_6') + count(p, 'softball') > 0 &&
+    '**Play catch:** warm up your arm on the ball fields',
+  (p) => count(p, 'sand_vball') > 0 && '**Bump, set, spike:** round up friends for sand volleyball',
+  (p) => count(p, 'multi_purpose') > 0 && '**Kick it around:** the multi-purpose field is great for soccer or frisbee',
+  (p) => (p.acres || 0) >= LARGE_PARK_ACRES &&
+    `**Go the distance:** at ${Math.round(p.acres)} acres, a lap of the grounds makes a proper walk`,
+  (p) => hasFacility(p, 'comfort_station') && '**Stay a while:** restrooms on site make longer visits easy',
+];
+
+const GENERIC_ACTIVITIES = [
+  '**Take a walk:** explore the paths at your own pace',
+  '**Stretch it out:** find a patch of grass for a cool-down',
+  '**Bring a friend:** fresh air is better with company',
+];
+
+/**
+ * Writes a park guide straight from the park attributes, with the same
+ * Markdown shape as the LLM guides: an H3 title, a short paragraph with bold
+ * highlights and 3-4 activity bullets. Used when no LLM is wanted or available.
+ */
+export const generateTemplateGuide = (properties) => {
+  const name = parkLabel(properties) || 'This park';
+  const acres = typeof properties.acres === 'number' ? `${properties.acres.toFixed(1)}-acre ` : '';
+  const designation = (properties.desig_use || 'park').toLowerCase();
+  const community = properties.community ? ` in ${titleCase(properties.community)}` : '';
+  const since = properties.year_constructed ? `, open since ${properties.year_constructed}` : '';
+
+  const sentences = [`**${name}** is a ${acres}${designation}${community}${since}.`];
+  const features = highlights(properties);
+  if (features.length > 0) sentences.push(`It offers ${joinList(features)}.`);
+  if (hasFacility(properties, 'field_lighting') || count(properties, 'field_lighting_cnt') > 0) {
+    sentences.push('**Lit fields** make it a good pick for evening visits.');
+  }
+
+  const activities = ACTIVITY_RULES.map(rule => rule(properties)).filter(Boolean);
+  GENERIC_ACTIVITIES.forEach(activity => {
+    if (activities.length < MIN_ACTIVITIES) activities.push(activity);
+  });
+
+  return `### ${name}
+
+${sentences.join(' ')}
+
+${activities.slice(0, MAX_ACTIVITIES).map(activity => `- ${activity}`).join('\n')}
+`;
+};
@@ -0,0 +1,56 @@
+import { generateTemplateGuide } from './templateGuide';
+
+const oakPark = {
+  common_name: 'OAK PARK NP',
+  full_name: 'Oak Neighborhood Park',
+  desig_use: 'Neighborhood Park',
+  acres: 3.4888,
+  community: 'MID-CITY: EASTERN AREA',
+  year_constructed: '1974',
+  playground: 1,
+  softball: 1,
+  tennis: 0,
+  comfort_station: 0,
+  field_lighting: 'N',
+  field_lighting_cnt: 0,
+};
+
+test('writes the guide in the LLM guide shape', () => {
+  const guide = generateTemplateGuide(oakPark);
+  const lines = guide.trim().split('\n');
+
+  expect(lines[0]).toBe('### Oak Neighborhood Park');
+  expect(guide).toContain('**Oak Neighborhood Park** is a 3.5-acre neighborhood park in Mid-City: Eastern Area, open since 1974.');
+  expect(guide).toContain('It offers **a playground** and **1 ball field**.');
+  expect(guide).not.toContain('Lit fields');
+
+  const bullets = lines.filter(line => line.startsWith('- '));
+  expect(bullets.length).toBeGreaterThanOrEqual(3);
+  expect(bullets.length).toBeLessThanOrEqual(4);
+});
+
+test('mentions lighting and caps activities at four', () => {
+  const guide = generateTemplateGuide({
+    ...oakPark,
+    acres: 40,
+    tennis: 4,
+    basketball: 2,
+    comfort_station: 1,
+    field_lighting: 'Y',
+  });
+  expect(guide).toContain('**Lit fields**');
+  expect(guide).toContain('**4 tennis courts**');
+  expect(guide.split('\n').filter(line => line.startsWith('- '))).toHaveLength(4);
+});
+
+test('is deterministic', () => {
+  expect(generateTemplateGuide(oakPark)).toBe(generateTemplateGuide(oakPark));
+});
+
+test('keeps full names as stored and title-cases the common name', () => {
+  const title = (properties) => generateTemplateGuide({ ...oakPark, ...properties }).split('\n')[0];
+
+  expect(title({ full_name: 'McCall Street Mini-Park' })).toBe('### McCall Street Mini-Park');
+  expect(title({ full_name: 'Charles L. Stevens III Park' })).toBe('### Charles L. Stevens III Park');
+  expect(title({ full_name: null, common_name: "CHILDREN'S PARK" })).toBe("### Children's Park");
+});
@@ -0,0 +1,50 @@
+import React from 'react';
+import { formatDistance, formatDuration } from './travelModes';
+
+const formatTime = (date) => date.toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' });
+
+// Daylight left and after-dark warnings for a plan (see planning/daylight).
+const DaylightNote = ({ daylight, planType, evening, parkLit, unlitDistance }) => {
+  const warning = planType === 'Park' && daylight.arrivesAfterDark
+    ? `You'd arrive after dark, around ${formatTime(daylight.arrival)}.`
+    : daylight.returnsAfterDark
+      ? `You'd ${planType === 'Loop' ? 'finish' : 'get back'} after dark, around ${formatTime(daylight.back)}.`
+      : null;
+
+  return (
+    <div style={{ marginBottom: '10px', fontSize: '13px' }}>
+      <div>
+        <strong>Daylight:</strong>{' '}
+        {daylight.daylightLeft > 0
+          ? `${formatDuration(daylight.daylightLeft)} left, sunset at ${formatTime(daylight.sunset)}`
+          : daylight.departAt < daylight.sunrise
+            ? `none yet, sunrise at ${formatTime(daylight.sunrise)}`
+            : `none left, sunset was at ${formatTime(daylight.sunset)}`}
+      </div>
+      {warning && (
+        <div
+          style={{
+            marginTop: '4px',
+            padding: '6px 10px',
+            backgroundColor: '#fff4e5',
+            color: '#8a4b00',
+            borderRadius: '5px'
+          }}
+        >
+          {warning}
+          {!evening && ' Turn on evening mode to prefer lit parks and paths.'}
+        </div>
+      )}
+      {(evening || warning) && planType === 'Park' && (
+        <div style={{ marginTop: '4px' }}>
+          <strong>Field lighting:</strong> {parkLit ? 'Yes' : 'No'}
+        </div>
+      )}
+      {(evening || warning) && unlitDistance > 0 && (
+        <div style={{ marginTop: '4px' }}>{formatDistance(unlitDistance)} on unlit paths</div>
+      )}
+    </div>
+  );
+};
+
+export default DaylightNote;
@@ -0,0 +1,106 @@
+import React from 'react';
+import { formatDistance, formatDuration } from './travelModes';
+import { FAIRNESS, MIN_MEETUP_ORIGINS, personColor } from './meetup';
+
+const buttonStyle = {
+  marginLeft: '4px',
+  padding: '1px 6px',
+  fontSize: '12px',
+  cursor: 'pointer'
+};
+
+const Swatch = ({ index }) => (
+  <span
+    style={{
+      display: 'inline-block',
+      width: '10px',
+      height: '10px',
+      marginRight: '4px',
+      borderRadius: '50%',
+      backgroundColor: personColor(index)
+    }}
+  />
+);
+
+// Starting points, fairness choice and per-person results for a group meetup
+// (see planner.planMeetup).
+const MeetupPanel = ({
+  origins,
+  canAddCurrent,
+  onAddCurrent,
+  picking,
+  onTogglePicking,
+  onRemoveOrigin,
+  fairness,
+  onFairnessChange,
+  onPlan,
+  onClear,
+  plan,
+}) => {
+  const minutes = plan ? plan.people.map(person => person.minutes) : [];
+
+  return (
+    <div
+      style={{
+        padding: '6px 10px',
+        backgroundColor: 'white',
+        borderRadius: '5px',
+        fontSize: '14px',
+        textAlign: 'left',
+        maxWidth: '260px'
+      }}
+    >
+      <strong>Meet up</strong>
+      {origins.length === 0 && (
+        <div style={{ color: '#888', fontSize: '13px' }}>Add everyone's starting point.</div>
+      )}
+      {origins.map(([lon, lat], index) => (
+        <div key={`${lon},${lat},${index}`} style={{ fontSize: '13px' }}>
+          <Swatch index={index} />
+          Person {index + 1}
+          <button style={buttonStyle} onClick={() => onRemoveOrigin(index)}>×</button>
+        </div>
+      ))}
+      <div style={{ marginTop: '4px' }}>
+        <button onClick={onAddCurrent} disabled={!canAddCurrent}>Add my start</button>{' '}
+        <button onClick={onTogglePicking}>{picking ? 'Click the map…' : 'Add on map'}</button>
+      </div>
+      <div style={{ marginTop: '4px' }}>
+        <select value={fairness} onChange={(e) => onFairnessChange(e.target.value)}>
+          {Object.entries(FAIRNESS).map(([id, option]) => (
+            <option key={id} value={id}>{option.label}</option>
+          ))}
+        </select>{' '}
+        <button onClick={onPlan} disabled={origins.length < MIN_MEETUP_ORIGINS}>Find a park</button>
+        {(origins.length > 0 || plan) && (
+          <button style={buttonStyle} onClick={onClear}>Clear</button>
+        )}
+      </div>
+      {plan && (
+        <div style={{ marginTop: '6px', fontSize: '13px' }}>
+          <div>
+            <strong>{plan.location.properties.full_name || plan.location.properties.common_name}</strong>
+            {plan.environmentalRating !== null && (
+              <span style={{ color: '#555' }}>
+                {' '}· clean environment {Math.round(plan.environmentalRating * 100)}%
+              </span>
+            )}
+          </div>
+          {plan.people.map((person, index) => (
+            <div key={index}>
+              <Swatch index={index} />
+              Person {index + 1}: {formatDuration(person.minutes)}, {formatDistance(person.distance)}
+              {!person.routed && ' (estimate)'}
+            </div>
+          ))}
+          <div style={{ color: '#555' }}>
+            Longest trip {formatDuration(Math.max(...minutes))} · total{' '}
+            {formatDuration(minutes.reduce((sum, value) => sum + value, 0))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default MeetupPanel;
@@ -0,0 +1,77 @@
+// Sunrise and sunset from the sun's position, after the equations in
+// Meeus, "Astronomical Algorithms" as simplified by suncalc. Good to about a
+// minute, which is all a trip plan needs, and it runs offline.
+const RAD = Math.PI / 180;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const J1970 = 2440588;
+const J2000 = 2451545;
+const J0 = 0.0009;
+const OBLIQUITY = RAD * 23.4397;
+const SUNSET_ALTITUDE = -0.833 * RAD; // refraction plus the sun's radius
+
+const toDays = (date) => date.valueOf() / DAY_MS - 0.5 + J1970 - J2000;
+const fromJulian = (julian) => new Date((julian + 0.5 - J1970) * DAY_MS);
+
+const solarMeanAnomaly = (days) => RAD * (357.5291 + 0.98560028 * days);
+
+const eclipticLongitude = (anomaly) => {
+  const center = RAD * (1.9148 * Math.sin(anomaly) + 0.02 * Math.sin(2 * anomaly) + 0.0003 * Math.sin(3 * anomaly));
+  const perihelion = RAD * 102.9372;
+  return anomaly + center + perihelion + Math.PI;
+};
+
+const approxTransit = (hourAngle, westLongitude, cycle) => J0 + (hourAngle + westLongitude) / (2 * Math.PI) + cycle;
+
+const solarTransit = (days, anomaly, longitude) =>
+  J2000 + days + 0.0053 * Math.sin(anomaly) - 0.0069 * Math.sin(2 * longitude);
+
+/**
+ * Sunrise and sunset on the day of `date` at `[lon, lat]`, as Dates. Both are
+ * null where the sun doesn't rise or set that day.
+ */
+export const sunTimes = (date, [lon, lat]) => {
+  const westLongitude = RAD * -lon;
+  const phi = RAD * lat;
+  const cycle = Math.round(toDays(date) - J0 - westLongitude / (2 * Math.PI));
+  const transitDays = approxTransit(0, westLongitude, cycle);
+  const anomaly = solarMeanAnomaly(transitDays);
+  const longitude = eclipticLongitude(anomaly);
+  const declination = Math.asin(Math.sin(OBLIQUITY) * Math.sin(longitude));
+  const noon = solarTransit(transitDays, anomaly, longitude);
+
+  const cosHourAngle = (Math.sin(SUNSET_ALTITUDE) - Math.sin(phi) * Math.sin(declination)) /
+    (Math.cos(phi) * Math.cos(declination));
+  if (Math.abs(cosHourAngle) > 1) return { sunrise: null, sunset: null };
+
+  const hourAngle = Math.acos(cosHourAngle);
+  const set = solarTransit(approxTransit(hourAngle, westLongitude, cycle), anomaly, longitude);
+  return { sunrise: fromJulian(noon - (set - noon)), sunset: fromJulian(set) };
+};
+
+const addMinutes = (date, minutes) => new Date(date.valueOf() + minutes * 60000);
+
+/**
+ * Checks a trip leaving `origin` at `departAt` against the day's light: it
+ * arrives after `arriveMinutes` and is back home `returnMinutes` later (0 for
+ * loops). `daylightLeft` is in minutes and 0 once the sun is down. Returns null
+ * where the sun doesn't rise or set.
+ */
+export const checkDaylight = ({ origin, departAt, arriveMinutes, returnMinutes = arriveMinutes }) => {
+  const { sunrise, sunset } = sunTimes(departAt, origin);
+  if (!sunrise || !sunset) return null;
+
+  const isDark = (time) => time < sunrise || time >= sunset;
+  const arrival = addMinutes(departAt, arriveMinutes);
+  const back = addMinutes(arrival, returnMinutes);
+
+  return {
+    sunrise,
+    sunset,
+    departAt,
+    daylightLeft: isDark(departAt) ? 0 : (sunset - departAt) / 60000,
+    arrival,
+    back,
+    arrivesAfterDark: isDark(arrival),
+    returnsAfterDark: isDark(back),
+  };
+};
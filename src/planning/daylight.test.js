@@ -0,0 +1,51 @@
+import { sunTimes, checkDaylight } from './daylight';
+
+const SAN_DIEGO = [-117.1611, 32.7157];
+
+const minutesApart = (a, b) => Math.abs(a - b) / 60000;
+
+test('matches published sunrise and sunset times for San Diego', () => {
+  // USNO: 6:47 am and 4:47 pm PST on the winter solstice, 5:41 am and 8:00 pm PDT in June.
+  const winter = sunTimes(new Date('2024-12-21T12:00:00-08:00'), SAN_DIEGO);
+  expect(minutesApart(winter.sunrise, new Date('2024-12-21T06:47:00-08:00'))).toBeLessThan(3);
+  expect(minutesApart(winter.sunset, new Date('2024-12-21T16:47:00-08:00'))).toBeLessThan(3);
+
+  const summer = sunTimes(new Date('2024-06-20T12:00:00-07:00'), SAN_DIEGO);
+  expect(minutesApart(summer.sunrise, new Date('2024-06-20T05:41:00-07:00'))).toBeLessThan(3);
+  expect(minutesApart(summer.sunset, new Date('2024-06-20T20:00:00-07:00'))).toBeLessThan(3);
+});
+
+test('uses the same day late in the evening', () => {
+  const { sunset } = sunTimes(new Date('2024-12-21T23:30:00-08:00'), SAN_DIEGO);
+  expect(minutesApart(sunset, new Date('2024-12-21T16:47:00-08:00'))).toBeLessThan(3);
+});
+
+test('warns when a December walk ends after sunset', () => {
+  const daylight = checkDaylight({
+    origin: SAN_DIEGO,
+    departAt: new Date('2024-12-21T16:00:00-08:00'),
+    arriveMinutes: 40,
+  });
+
+  expect(daylight.daylightLeft).toBeGreaterThan(40);
+  expect(daylight.arrivesAfterDark).toBe(false);
+  expect(daylight.returnsAfterDark).toBe(true);
+  expect(minutesApart(daylight.back, new Date('2024-12-21T17:20:00-08:00'))).toBe(0);
+});
+
+test('reports no daylight left after sunset', () => {
+  const daylight = checkDaylight({
+    origin: SAN_DIEGO,
+    departAt: new Date('2024-12-21T18:30:00-08:00'),
+    arriveMinutes: 40,
+    returnMinutes: 0,
+  });
+
+  expect(daylight.daylightLeft).toBe(0);
+  expect(daylight.arrivesAfterDark).toBe(true);
+});
+
+test('gives up where the sun never sets', () => {
+  expect(sunTimes(new Date('2024-06-21T12:00:00Z'), [0, 80])).toEqual({ sunrise: null, sunset: null });
+  expect(checkDaylight({ origin: [0, 80], departAt: new Date('2024-06-21T12:00:00Z'), arriveMinutes: 10 })).toBeNull();
+});
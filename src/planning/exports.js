@@ -0,0 +1,192 @@
+import { center } from '@turf/turf';
+
+const CRLF = '\r\n';
+const ICS_LINE_OCTETS = 75;
+
+const parkName = (park) => park.properties.full_name || park.properties.common_name || 'Park';
+
+const escapeXml = (text) =>
+  String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+
+/**
+ * The parks a plan visits as `{ name, address, coordinates }` waypoints: the
+ * destination of a park plan, or every stop of a loop.
+ */
+export const planWaypoints = (plan) => {
+  if (!plan) return [];
+  const parks = plan.type === 'Loop' ? plan.stops.map(stop => stop.park) : [plan.location];
+
+  return parks.filter(Boolean).map(park => ({
+    name: parkName(park),
+    address: park.properties.address_lo || '',
+    coordinates: center(park).geometry.coordinates,
+  }));
+};
+
+export const planTitle = (plan, modeLabel) => {
+  if (plan.type === 'Loop') return `${modeLabel ? `${modeLabel} loop` : 'Loop'} via ${plan.stops.length} parks`;
+  return `${modeLabel || 'Trip'} to ${parkName(plan.location)}`;
+};
+
+export const routeToGeoJSON = ({ route, waypoints }) => ({
+  type: 'FeatureCollection',
+  features: [
+    { type: 'Feature', geometry: route.geometry, properties: { ...route.properties, steps: undefined } },
+    ...waypoints.map(({ name, address, coordinates }) => ({
+      type: 'Feature',
+      geometry: { type: 'Point', coordinates },
+      properties: { name, address },
+    })),
+  ],
+});
+
+export const routeToGpx = ({ route, waypoints, name }) => {
+  const wpts = waypoints.map(({ name: wptName, address, coordinates: [lon, lat] }) =>
+    `  <wpt lat="${lat}" lon="${lon}">\n` +
+    `    <name>${escapeXml(wptName)}</name>\n` +
+    (address ? `    <desc>${escapeXml(address)}</desc>\n` : '') +
+    '  </wpt>'
+  );
+  const trkpts = route.geometry.coordinates.map(([lon, lat]) => `      <trkpt lat="${lat}" lon="${lon}"/>`);
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<gpx version="1.1" creator="Green Routes" xmlns="http://www.topografix.com/GPX/1/1">',
+    `  <metadata><name>${escapeXml(name)}</name></metadata>`,
+    ...wpts,
+    '  <trk>',
+    `    <name>${escapeXml(name)}</name>`,
+    '    <trkseg>',
+    ...trkpts,
+    '    </trkseg>',
+    '  </trk>',
+    '</gpx>',
+    '',
+  ].join('\n');
+};
+
+export const routeToKml = ({ route, waypoints, name }) => {
+  const placemarks = waypoints.map(({ name: wptName, address, coordinates: [lon, lat] }) =>
+    '    <Placemark>\n' +
+    `      <name>${escapeXml(wptName)}</name>\n` +
+    (address ? `      <address>${escapeXml(address)}</address>\n` : '') +
+    `      <Point><coordinates>${lon},${lat}</coordinates></Point>\n` +
+    '    </Placemark>'
+  );
+  const coordinates = route.geometry.coordinates.map(([lon, lat]) => `${lon},${lat}`).join(' ');
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<kml xmlns="http://www.opengis.net/kml/2.2">',
+    '  <Document>',
+    `    <name>${escapeXml(name)}</name>`,
+    '    <Placemark>',
+    `      <name>${escapeXml(name)}</name>`,
+    `      <LineString><tessellate>1</tessellate><coordinates>${coordinates}</coordinates></LineString>`,
+    '    </Placemark>',
+    ...placemarks,
+    '  </Document>',
+    '</kml>',
+    '',
+  ].join('\n');
+};
+
+/**
+ * Flattens the guide Markdown for places that only take plain text, such as
+ * a calendar event description.
+ */
+export const markdownToPlainText = (markdown) =>
+  String(markdown || '')
+    .replace(/^#{1,6}\s+/gm, '')
+    .replace(/\[([^\]]+)\]\(([^)]+)\)/g, '$1 ($2)')
+    .replace(/(\*\*|__)(.+?)\1/g, '$2')
+    .replace(/(\*|_)(.+?)\1/g, '$2')
+    .replace(/`([^`]+)`/g, '$1')
+    .replace(/^[ \t]*[-*+][ \t]+/gm, '- ')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+
+const escapeIcsText = (text) =>
+  String(text)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+
+const icsDate = (date) => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+const utf8Length = (char) => {
+  const code = char.codePointAt(0);
+  if (code < 0x80) return 1;
+  if (code < 0x800) return 2;
+  return code < 0x10000 ? 3 : 4;
+};
+
+// RFC 5545 lines are at most 75 octets; continuations start with a space.
+const foldIcsLine = (line) => {
+  const parts = [];
+  let current = '';
+  let currentBytes = 0;
+  for (const char of line) {
+    const size = utf8Length(char);
+    const limit = parts.length === 0 ? ICS_LINE_OCTETS : ICS_LINE_OCTETS - 1;
+    if (currentBytes + size > limit) {
+      parts.push(current);
+      current = '';
+      currentBytes = 0;
+    }
+    current += char;
+    currentBytes += size;
+  }
+  parts.push(current);
+  return parts.join(`${CRLF} `);
+};
+
+/**
+ * Builds a single-event iCalendar file. `summary` lines and the guide go into
+ * the description; the event lasts `durationMinutes` from `start`.
+ */
+export const planToIcs = ({ title, start, durationMinutes, location, summary = [], guide, now = new Date() }) => {
+  const end = new Date(start.getTime() + Math.max(1, Math.round(durationMinutes)) * 60000);
+  const description = [...summary, guide ? `\n${markdownToPlainText(guide)}` : null]
+    .filter(Boolean)
+    .join('\n');
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Green Routes//Healthy Plan//EN',
+    'BEGIN:VEVENT',
+    `UID:${icsDate(now)}-${Math.random().toString(36).slice(2)}@green-routes`,
+    `DTSTAMP:${icsDate(now)}`,
+    `DTSTART:${icsDate(start)}`,
+    `DTEND:${icsDate(end)}`,
+    `SUMMARY:${escapeIcsText(title)}`,
+    location ? `LOCATION:${escapeIcsText(location)}` : null,
+    description ? `DESCRIPTION:${escapeIcsText(description)}` : null,
+    'END:VEVENT',
+    'END:VCALENDAR',
+  ].filter(Boolean);
+
+  return lines.map(foldIcsLine).join(CRLF) + CRLF;
+};
+
+// Filenames are derived from the plan title, e.g. "walk-to-balboa-park.gpx".
+export const exportFilename = (title, extension) =>
+  `${title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'plan'}.${extension}`;
+
+export const downloadFile = (filename, content, type) => {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+};
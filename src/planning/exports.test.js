@@ -0,0 +1,61 @@
+import { planWaypoints, planTitle, routeToGeoJSON, routeToGpx, routeToKml, planToIcs, markdownToPlainText } from './exports';
+
+const park = {
+  type: 'Feature',
+  geometry: { type: 'Point', coordinates: [-117.15, 32.73] },
+  properties: { full_name: 'Balboa Park & Gardens', address_lo: '1549 El Prado' },
+};
+const route = {
+  type: 'Feature',
+  geometry: { type: 'LineString', coordinates: [[-117.16, 32.71], [-117.15, 32.73]] },
+  properties: { distance: 2500, steps: [] },
+};
+const plan = { type: 'Park', location: park, guide: '### Balboa\n\nIt has **a playground**.\n\n- **Play:** go' };
+
+test('uses the destination park as a named waypoint', () => {
+  const waypoints = planWaypoints(plan);
+  expect(waypoints).toEqual([{ name: 'Balboa Park & Gardens', address: '1549 El Prado', coordinates: [-117.15, 32.73] }]);
+  expect(planTitle(plan, 'Walk')).toBe('Walk to Balboa Park & Gardens');
+
+  const geojson = routeToGeoJSON({ route, waypoints });
+  expect(geojson.features.map(feature => feature.geometry.type)).toEqual(['LineString', 'Point']);
+  expect(geojson.features[1].properties).toEqual({ name: 'Balboa Park & Gardens', address: '1549 El Prado' });
+});
+
+test('writes GPX and KML with escaped names', () => {
+  const waypoints = planWaypoints(plan);
+  const gpx = routeToGpx({ route, waypoints, name: 'Walk' });
+  expect(gpx).toContain('<wpt lat="32.73" lon="-117.15">');
+  expect(gpx).toContain('<name>Balboa Park &amp; Gardens</name>');
+  expect(gpx).toContain('<desc>1549 El Prado</desc>');
+  expect(gpx.match(/<trkpt /g)).toHaveLength(2);
+
+  const kml = routeToKml({ route, waypoints, name: 'Walk' });
+  expect(kml).toContain('<coordinates>-117.16,32.71 -117.15,32.73</coordinates>');
+  expect(kml).toContain('<address>1549 El Prado</address>');
+});
+
+test('flattens the guide Markdown to plain text', () => {
+  expect(markdownToPlainText(plan.guide)).toBe('Balboa\n\nIt has a playground.\n\n- Play: go');
+});
+
+test('builds a folded, escaped calendar event', () => {
+  const ics = planToIcs({
+    title: 'Walk to Balboa Park',
+    start: new Date('2024-05-01T16:00:00Z'),
+    durationMinutes: 30,
+    location: 'Balboa Park, 1549 El Prado',
+    summary: ['1.55 mi; about 31 min'],
+    guide: plan.guide + ' ' + 'x'.repeat(100),
+    now: new Date('2024-04-30T12:00:00Z'),
+  });
+  const lines = ics.split('\r\n');
+
+  expect(lines).toContain('DTSTART:20240501T160000Z');
+  expect(lines).toContain('DTEND:20240501T163000Z');
+  expect(lines).toContain('LOCATION:Balboa Park\\, 1549 El Prado');
+  expect(lines.every(line => line.length <= 75)).toBe(true);
+
+  const unfolded = ics.replace(/\r\n /g, '');
+  expect(unfolded).toContain('DESCRIPTION:1.55 mi\\; about 31 min\\n\\nBalboa\\n\\nIt has a playground.');
+});
@@ -0,0 +1,75 @@
+import axios from 'axios';
+import { bbox, booleanPointInPolygon, circle } from '@turf/turf';
+import { METERS_PER_MILE } from './travelModes';
+
+export const ISOCHRONE_MINUTES = [10, 20, 30];
+
+const ISOCHRONE_URL = 'https://api.mapbox.com/isochrone/v1/mapbox';
+
+// Mapbox's own walking speed is slower than a run, so contours are requested in
+// meters covered at the user's pace rather than in minutes.
+export const minutesToMeters = (minutes, pace) => Math.round((minutes / pace) * METERS_PER_MILE);
+
+const sortBands = (features) => ({
+  type: 'FeatureCollection',
+  features: [...features].sort((a, b) => a.properties.minutes - b.properties.minutes),
+});
+
+/**
+ * Fetches network-based reachability bands (one polygon per entry in
+ * `minutes`) from the Mapbox Isochrone API. Each feature carries the band's
+ * `minutes`.
+ */
+export const fetchIsochrones = async (origin, { profile, pace, token, minutes = ISOCHRONE_MINUTES }) => {
+  const meters = minutes.map(value => minutesToMeters(value, pace));
+  const response = await axios.get(`${ISOCHRONE_URL}/${profile}/${origin[0]},${origin[1]}`, {
+    params: {
+      access_token: token,
+      contours_meters: meters.join(','),
+      polygons: true,
+    },
+  });
+
+  return sortBands(response.data.features.map(feature => {
+    const contour = feature.properties.contour;
+    const closest = meters.reduce((best, value, i) =>
+      Math.abs(value - contour) < Math.abs(meters[best] - contour) ? i : best, 0);
+    return { ...feature, properties: { ...feature.properties, minutes: minutes[closest] } };
+  }));
+};
+
+/**
+ * Straight-line circles at the same distances, for when the isochrone service
+ * can't be reached. They ignore barriers, so only use them as a fallback.
+ */
+export const bufferIsochrones = (origin, { pace, minutes = ISOCHRONE_MINUTES }) =>
+  sortBands(minutes.map(value => {
+    const band = circle(origin, minutesToMeters(value, pace) / 1000, { units: 'kilometers', steps: 64 });
+    return { ...band, properties: { minutes: value, fallback: true } };
+  }));
+
+/**
+ * Builds a point -> estimated travel minutes lookup from isochrone bands. A
+ * point inside the 10-20 minute band is estimated at 15 minutes; points
+ * beyond the largest band return null.
+ */
+export const createReachLookup = (isochrones) => {
+  if (!isochrones || isochrones.features.length === 0) return null;
+
+  const bands = isochrones.features.map(band => ({ band, box: bbox(band) }));
+
+  return ([lon, lat]) => {
+    const index = bands.findIndex(({ band, box }) =>
+      lon >= box[0] && lon <= box[2] && lat >= box[1] && lat <= box[3] &&
+      booleanPointInPolygon([lon, lat], band)
+    );
+    if (index === -1) return null;
+
+    const upper = bands[index].band.properties.minutes;
+    const lower = index === 0 ? 0 : bands[index - 1].band.properties.minutes;
+    return (lower + upper) / 2;
+  };
+};
+
+export const bandForBudget = (isochrones, budget) =>
+  isochrones?.features.find(band => band.properties.minutes === budget) || null;
@@ -0,0 +1,37 @@
+import axios from 'axios';
+import { bboxPolygon, distance } from '@turf/turf';
+import { fetchIsochrones, bufferIsochrones, createReachLookup, minutesToMeters } from './isochrones';
+
+jest.mock('axios');
+
+test('converts a time budget to meters at the given pace', () => {
+  expect(minutesToMeters(20, 20)).toBe(1609);
+});
+
+test('labels Mapbox contours with their minutes, smallest first', async () => {
+  axios.get.mockResolvedValue({
+    data: {
+      features: [
+        bboxPolygon([-2, -2, 2, 2], { properties: { contour: 2414 } }),
+        bboxPolygon([-1, -1, 1, 1], { properties: { contour: 805 } }),
+      ],
+    },
+  });
+
+  const bands = await fetchIsochrones([0, 0], { profile: 'walking', pace: 20, token: 't', minutes: [10, 30] });
+  expect(axios.get.mock.calls[0][1].params.contours_meters).toBe('805,2414');
+  expect(bands.features.map(band => band.properties.minutes)).toEqual([10, 30]);
+});
+
+test('estimates travel minutes from the band a point falls in', () => {
+  const reach = createReachLookup(bufferIsochrones([-117.16, 32.71], { pace: 20 }));
+  expect(reach([-117.16, 32.712])).toBe(5);
+  expect(reach([-117.16, 32.72])).toBe(15);
+  expect(reach([-117.16, 32.75])).toBeNull();
+});
+
+test('fallback circles cover the distance walkable in each band', () => {
+  const [tenMinutes] = bufferIsochrones([0, 0], { pace: 20 }).features;
+  const edge = tenMinutes.geometry.coordinates[0][0];
+  expect(distance([0, 0], edge, { units: 'meters' })).toBeCloseTo(805, -1);
+});
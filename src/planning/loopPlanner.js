@@ -0,0 +1,105 @@
+import { distance } from '@turf/turf';
+import { withCumulativeDistance } from '../routing/directions';
+
+// Street and path distance is longer than the straight line; this converts one
+// into a rough estimate of the other when picking waypoints.
+export const ROAD_FACTOR = 1.3;
+
+const combinations = (items, size, start = 0, prefix = [], result = []) => {
+  if (prefix.length === size) {
+    result.push(prefix);
+    return result;
+  }
+  for (let i = start; i < items.length; i++) {
+    combinations(items, size, i + 1, [...prefix, items[i]], result);
+  }
+  return result;
+};
+
+const permutations = (items) => {
+  if (items.length <= 1) return [items];
+  return items.flatMap((item, index) =>
+    permutations([...items.slice(0, index), ...items.slice(index + 1)]).map(rest => [item, ...rest])
+  );
+};
+
+const loopLength = (origin, stops) => {
+  const points = [origin, ...stops.map(stop => stop.center), origin];
+  let miles = 0;
+  for (let i = 1; i < points.length; i++) {
+    miles += distance(points[i - 1], points[i], { units: 'miles' });
+  }
+  return miles * ROAD_FACTOR;
+};
+
+const isBetterLoop = (option, current) => {
+  if (!current) return true;
+  if (option.fits !== current.fits) return option.fits;
+  if (!option.fits) return option.error < current.error;
+  if (option.meanScore !== current.meanScore) return option.meanScore > current.meanScore;
+  return option.stops.length > current.stops.length;
+};
+
+/**
+ * Picks up to `maxStops` of the best ranked `candidates` (see rankParks) to
+ * visit on a loop from `origin` that comes close to `targetMiles`. Among the
+ * combinations whose estimated length is within `tolerance` of the target, the
+ * one with the highest mean score wins; more parks break ties. If nothing fits,
+ * the combination closest to the target is returned.
+ */
+export const chooseLoopWaypoints = ({
+  origin,
+  candidates,
+  targetMiles,
+  maxStops = 3,
+  pool = 8,
+  tolerance = 0.2,
+}) => {
+  const top = candidates.slice(0, pool);
+  const options = [];
+
+  for (let size = 1; size <= Math.min(maxStops, top.length); size++) {
+    options.push(...combinations(top, size).map(subset => {
+      const ordered = permutations(subset)
+        .map(stops => ({ stops, miles: loopLength(origin, stops) }))
+        .reduce((shortest, option) => (option.miles < shortest.miles ? option : shortest));
+      const error = Math.abs(ordered.miles - targetMiles) / targetMiles;
+      const meanScore = subset.reduce((sum, stop) => sum + stop.score, 0) / subset.length;
+
+      return { ...ordered, error, meanScore, fits: error <= tolerance };
+    }));
+  }
+
+  const best = options.reduce((current, option) => (isBetterLoop(option, current) ? option : current), null);
+  return best && { stops: best.stops, estimatedMiles: best.miles, fits: best.fits };
+};
+
+/**
+ * Joins per-leg route Features into one loop Feature. The arrival step of each
+ * intermediate leg becomes "Pass through <park>".
+ */
+export const joinRouteLegs = (legs, stopNames) => {
+  const coordinates = legs.flatMap(leg => leg.geometry.coordinates);
+  const steps = legs.flatMap((leg, index) => {
+    const legSteps = leg.properties.steps || [];
+    if (index === legs.length - 1 || legSteps.length === 0) return legSteps;
+
+    const last = legSteps[legSteps.length - 1];
+    return [
+      ...legSteps.slice(0, -1),
+      last.distance === 0 ? { ...last, instruction: `Pass through ${stopNames[index]}` } : last,
+    ];
+  });
+
+  return {
+    type: 'Feature',
+    properties: {
+      ...legs[0].properties,
+      distance: legs.reduce((sum, leg) => sum + leg.properties.distance, 0),
+      networkDistance: legs.reduce((sum, leg) => sum + leg.properties.networkDistance, 0),
+      unlitDistance: legs.reduce((sum, leg) => sum + (leg.properties.unlitDistance || 0), 0),
+      steps: withCumulativeDistance(steps),
+    },
+    geometry: { type: 'LineString', coordinates },
+  };
+};
@@ -0,0 +1,45 @@
+import { chooseLoopWaypoints, joinRouteLegs, ROAD_FACTOR } from './loopPlanner';
+
+const origin = [-117.16, 32.71];
+const candidate = (name, center, score) => ({ park: { properties: { common_name: name } }, center, score });
+
+// Roughly 0.5, 1 and 2 miles north of the origin.
+const candidates = [
+  candidate('FAR', [-117.16, 32.739], 90),
+  candidate('MID', [-117.16, 32.7245], 70),
+  candidate('NEAR', [-117.16, 32.71725], 50),
+];
+
+test('picks the best-scoring loop that fits the target', () => {
+  const loop = chooseLoopWaypoints({ origin, candidates, targetMiles: 4 * ROAD_FACTOR });
+  expect(loop.fits).toBe(true);
+  expect(loop.stops[0].park.properties.common_name).toBe('FAR');
+});
+
+test('falls back to the closest loop when nothing fits', () => {
+  const loop = chooseLoopWaypoints({ origin, candidates, targetMiles: 0.2 });
+  expect(loop.fits).toBe(false);
+  expect(loop.stops.map(stop => stop.park.properties.common_name)).toEqual(['NEAR']);
+});
+
+test('joins legs and names intermediate arrivals', () => {
+  const leg = (coordinates, distance) => ({
+    type: 'Feature',
+    properties: {
+      distance,
+      networkDistance: 0,
+      steps: [
+        { instruction: 'Head north', distance, coordinates },
+        { instruction: 'Arrive at your destination', distance: 0, coordinates: [coordinates[1]] },
+      ],
+    },
+    geometry: { type: 'LineString', coordinates },
+  });
+
+  const loop = joinRouteLegs([leg([[0, 0], [0, 1]], 100), leg([[0, 1], [0, 0]], 100)], ['Oak Park']);
+  expect(loop.properties.distance).toBe(200);
+  expect(loop.properties.steps.map(step => step.instruction)).toEqual([
+    'Head north', 'Pass through Oak Park', 'Head north', 'Arrive at your destination',
+  ]);
+  expect(loop.properties.steps[3].cumulativeDistance).toBe(200);
+});
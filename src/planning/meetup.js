@@ -0,0 +1,70 @@
+import { distance } from '@turf/turf';
+import { DEFAULT_WEIGHTS, EVENING_WEIGHTS } from '../scoring/parkRanking';
+import { ROAD_FACTOR } from './loopPlanner';
+import { METERS_PER_MILE, estimateTrip } from './travelModes';
+
+export const MIN_MEETUP_ORIGINS = 2;
+
+// How the group's travel times are combined into one cost.
+export const FAIRNESS = {
+  worst: { label: 'Shortest longest trip' },
+  total: { label: 'Least total travel' },
+};
+
+// One color per person, for their marker, route and row in the panel.
+export const PERSON_COLORS = ['#e6194b', '#3cb44b', '#4363d8', '#f58231', '#911eb4', '#42d4f4', '#f032e6', '#bfef45'];
+
+export const personColor = (index) => PERSON_COLORS[index % PERSON_COLORS.length];
+
+// The average of the starting points, where the search for parks is centered.
+export const meetingPoint = (origins) => [
+  origins.reduce((sum, [lon]) => sum + lon, 0) / origins.length,
+  origins.reduce((sum, [, lat]) => sum + lat, 0) / origins.length,
+];
+
+// Parks within this many miles of the meeting point are considered, so
+// everyone can reach at least one of them about as easily as the midpoint.
+export const meetupSearchRadius = (origins) => {
+  const point = meetingPoint(origins);
+  return Math.max(1, ...origins.map(origin => distance(origin, point, { units: 'miles' })));
+};
+
+// Per-person estimates from straight-line distance; the chosen park is then
+// routed for real (see planner.planMeetup).
+const estimateTravel = (origins, parkCenter, mode, pace) =>
+  origins.map(origin => {
+    const meters = distance(origin, parkCenter, { units: 'miles' }) * ROAD_FACTOR * METERS_PER_MILE;
+    return { distance: meters, minutes: estimateTrip(meters, mode, { pace }).minutes };
+  });
+
+/**
+ * Re-ranks park candidates (rankParks results around the meeting point) for a
+ * group. Each park's distance component is replaced by how fair it is to
+ * reach: `fairness` 'worst' compares the longest anyone travels, 'total' the
+ * sum of everyone's travel. The percentile, acreage, facility and lighting
+ * components are kept, so the group still gets a healthy park.
+ */
+export const rankMeetupParks = ({ origins, candidates, fairness = 'worst', mode = 'walk', pace, evening = false }) => {
+  const weight = (evening ? EVENING_WEIGHTS : DEFAULT_WEIGHTS).distance;
+  const withTravel = candidates.map(candidate => {
+    const travel = estimateTravel(origins, candidate.center, mode, pace);
+    const minutes = travel.map(trip => trip.minutes);
+    return {
+      ...candidate,
+      travel,
+      worstMinutes: Math.max(...minutes),
+      totalMinutes: minutes.reduce((sum, value) => sum + value, 0),
+    };
+  });
+
+  const cost = (candidate) => (fairness === 'total' ? candidate.totalMinutes : candidate.worstMinutes);
+  const maxCost = Math.max(1, ...withTravel.map(cost));
+
+  return withTravel
+    .map(candidate => {
+      const breakdown = { ...candidate.breakdown, distance: weight * (1 - cost(candidate) / maxCost) * 100 };
+      const score = Object.values(breakdown).reduce((sum, value) => sum + value, 0);
+      return { ...candidate, score, breakdown };
+    })
+    .sort((a, b) => b.score - a.score);
+};
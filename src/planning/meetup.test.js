@@ -0,0 +1,37 @@
+import { meetingPoint, meetupSearchRadius, rankMeetupParks } from './meetup';
+
+// Two people on the west side, one on the east.
+const origins = [[-117.2, 32.715], [-117.2, 32.715], [-117.1, 32.715]];
+
+const candidate = (name, lon) => ({
+  park: { properties: { common_name: name } },
+  center: [lon, 32.715],
+  breakdown: { percentile: 30, distance: 10, acreage: 5, facilities: 5 },
+  score: 50,
+});
+const candidates = [candidate('WEST SIDE', -117.19), candidate('MIDDLE', -117.15)];
+
+const names = (results) => results.map(({ park }) => park.properties.common_name);
+
+test('centers the search between everyone', () => {
+  expect(meetingPoint([[-117.2, 32.7], [-117.1, 32.8]])).toEqual([-117.15, 32.75]);
+  expect(meetupSearchRadius([[-117.2, 32.715], [-117.1, 32.715]])).toBeCloseTo(2.9, 1);
+  expect(meetupSearchRadius([[-117.2, 32.715], [-117.2, 32.716]])).toBe(1);
+});
+
+test('keeps the longest trip short, or the total travel low', () => {
+  const fairest = rankMeetupParks({ origins, candidates, fairness: 'worst' });
+  expect(names(fairest)).toEqual(['MIDDLE', 'WEST SIDE']);
+  expect(fairest[0].travel).toHaveLength(3);
+  expect(fairest[0].worstMinutes).toBeLessThan(fairest[1].worstMinutes);
+
+  expect(names(rankMeetupParks({ origins, candidates, fairness: 'total' }))).toEqual(['WEST SIDE', 'MIDDLE']);
+});
+
+test('still prefers the healthier park when travel is even', () => {
+  const healthier = { ...candidate('HEALTHIER', -117.15), score: 70, breakdown: { ...candidates[1].breakdown, percentile: 50 } };
+  const results = rankMeetupParks({ origins, candidates: [candidates[1], healthier] });
+
+  expect(names(results)).toEqual(['HEALTHIER', 'MIDDLE']);
+  expect(results[0].breakdown.distance).toBe(results[1].breakdown.distance);
+});
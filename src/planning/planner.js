@@ -0,0 +1,349 @@
+import { distance } from '@turf/turf';
+import { buildBikeNetwork } from '../routing/bikeNetwork';
+import { routeOnNetwork } from '../routing/shortestPath';
+import {
+  stepsFromDirections,
+  stepsFromNetworkPath,
+  arrivalStep,
+  withCumulativeDistance,
+} from '../routing/directions';
+import { createTractLookup, annotateNetworkExposure, scoreRouteExposure } from '../scoring/exposure';
+import { describePark } from '../scoring/parkRanking';
+import { createInlineAnalysis } from '../analysis/analysis';
+import { templateGuides } from '../parks/guides';
+import { TRAVEL_MODES, estimateTrip } from './travelModes';
+import { bufferIsochrones } from './isochrones';
+import { checkDaylight } from './daylight';
+import { chooseLoopWaypoints, joinRouteLegs } from './loopPlanner';
+import { MIN_MEETUP_ORIGINS, meetingPoint, meetupSearchRadius, rankMeetupParks } from './meetup';
+
+const OFF_NETWORK_THRESHOLD = 25; // meters; closer than this we just draw a straight connector
+export const MAX_RECOMMENDATIONS = 5;
+export const DEFAULT_TIME_BUDGET = 20; // minutes
+
+export const parkDisplayName = (park) => park.properties.full_name || park.properties.common_name;
+
+/**
+ * The planning core, free of React and the browser so it can run in the map,
+ * in Node (see cli/) or in tests. Data arrives through setTracts, setParks and
+ * setBikePaths; everything else comes from injected providers:
+ *
+ *   routing   Directions and isochrones (see routing/providers)
+ *   guides    Park guides (see parks/guides); template guides by default
+ *   analysis  Park ranking and park access (see analysis/); runs inline by default
+ *
+ * Park plans take the park's `region` id for its guide (see parks/guides).
+ * Route options are `{ mode, preference, detourTolerance, evening }`; evening
+ * mode keeps to lit bikeways and favours lit parks. Given `departAt` (a Date),
+ * park and loop plans carry a `daylight` check (see planning/daylight).
+ * Planning methods throw an Error whose message can be shown to the user.
+ */
+export const createPlanner = ({ routing, guides = templateGuides, analysis = createInlineAnalysis() }) => {
+  let tractLookup = null;
+  let bikePaths = null;
+  let bikeNetwork = null;
+
+  const rebuildNetwork = () => {
+    bikeNetwork = bikePaths ? annotateNetworkExposure(buildBikeNetwork(bikePaths), tractLookup) : null;
+  };
+
+  const setTracts = (tracts) => {
+    tractLookup = createTractLookup(tracts);
+    analysis.loadTracts(tracts);
+    rebuildNetwork();
+  };
+
+  const setParks = (parks) => analysis.loadParks(parks);
+
+  const setBikePaths = (geojson) => {
+    bikePaths = geojson;
+    rebuildNetwork();
+  };
+
+  const describe = (park, origin) => describePark(park, { origin, tractLookup });
+
+  // Without the bike network, "cleanest" picks among the provider's alternatives:
+  // the lowest-exposure one that is within the detour tolerance of the shortest.
+  const pickCleanestDirections = (routes, detourTolerance) => {
+    const shortest = Math.min(...routes.map(candidate => candidate.distance));
+    const scored = routes
+      .filter(candidate => candidate.distance <= shortest * (1 + detourTolerance))
+      .map(candidate => ({
+        candidate,
+        exposure: scoreRouteExposure({ geometry: candidate.geometry }, tractLookup),
+      }));
+
+    scored.sort((a, b) => (a.exposure?.score ?? Infinity) - (b.exposure?.score ?? Infinity));
+    return scored[0].candidate;
+  };
+
+  const route = async (
+    start,
+    end,
+    { mode = 'walk', preference = 'protected', detourTolerance = 0.2, evening = false } = {}
+  ) => {
+    const { profile } = TRAVEL_MODES[mode];
+    const directions = (from, to, options = {}) => routing.directions(from, to, { profile, ...options });
+    const networkPath = routeOnNetwork(bikeNetwork, start, end, { preference, detourTolerance, evening });
+
+    let feature;
+    if (!networkPath) {
+      const routes = await directions(start, end, { alternatives: preference === 'cleanest' });
+      const chosen = preference === 'cleanest' ? pickCleanestDirections(routes, detourTolerance) : routes[0];
+      feature = {
+        type: 'Feature',
+        properties: {
+          mode,
+          preference,
+          distance: chosen.distance,
+          networkDistance: 0,
+          unlitDistance: 0,
+          steps: withCumulativeDistance(stepsFromDirections(chosen)),
+        },
+        geometry: chosen.geometry,
+      };
+    } else {
+      // Directions only cover the stretches between the endpoints and the network.
+      const [firstLeg, lastLeg] = await Promise.all([
+        distance(start, networkPath.entry, { units: 'meters' }) > OFF_NETWORK_THRESHOLD
+          ? directions(start, networkPath.entry).then(routes => routes[0])
+          : null,
+        distance(networkPath.exit, end, { units: 'meters' }) > OFF_NETWORK_THRESHOLD
+          ? directions(networkPath.exit, end).then(routes => routes[0])
+          : null,
+      ]);
+
+      feature = {
+        type: 'Feature',
+        properties: {
+          mode,
+          preference,
+          distance: (firstLeg?.distance || 0) + networkPath.length + (lastLeg?.distance || 0),
+          networkDistance: networkPath.length,
+          // Street legs share the street lighting; only network stretches can be dark.
+          unlitDistance: networkPath.unlitLength,
+          steps: withCumulativeDistance([
+            ...stepsFromDirections(firstLeg, { includeArrival: false }),
+            ...stepsFromNetworkPath(networkPath),
+            ...(lastLeg ? stepsFromDirections(lastLeg) : [arrivalStep(end)]),
+          ]),
+        },
+        geometry: {
+          type: 'LineString',
+          coordinates: [
+            ...(firstLeg ? firstLeg.geometry.coordinates : [start]),
+            ...networkPath.coordinates,
+            ...(lastLeg ? lastLeg.geometry.coordinates : [end]),
+          ],
+        },
+      };
+    }
+
+    feature.properties.exposure = scoreRouteExposure(feature, tractLookup);
+    return feature;
+  };
+
+  // Reachability bands for `mode` at `pace`; straight-line circles when the
+  // routing provider can't deliver.
+  const reach = async (origin, { mode = 'walk', pace = TRAVEL_MODES[mode].pace, minutes } = {}) => {
+    if (!(Number.isFinite(pace) && pace > 0)) throw new Error('Pace must be a positive number of minutes per mile.');
+    try {
+      return await routing.isochrones(origin, { profile: TRAVEL_MODES[mode].profile, pace, minutes });
+    } catch (error) {
+      console.error('Error fetching isochrones, falling back to straight-line distance:', error);
+      return bufferIsochrones(origin, { pace, minutes });
+    }
+  };
+
+  // Park trips come back the same way; loops end where they started.
+  const daylightFor = (tripRoute, { origin, mode = 'walk', pace, departAt, roundTrip }) => {
+    if (!departAt || !tripRoute) return null;
+    const { minutes } = estimateTrip(tripRoute.properties.distance, mode, { pace });
+    return checkDaylight({ origin, departAt, arriveMinutes: minutes, returnMinutes: roundTrip ? minutes : 0 });
+  };
+
+  const planForPark = async (
+    recommendation,
+    { origin, templateGuide = false, pace, departAt, region, ...routeOptions } = {}
+  ) => {
+    const { park } = recommendation;
+    const [{ guide, source: guideSource }, parkRoute] = await Promise.all([
+      (templateGuide ? templateGuides : guides).guide(park, { region }),
+      origin
+        ? route(origin, recommendation.center, routeOptions).catch(error => {
+          console.error('Error fetching route:', error);
+          return null;
+        })
+        : null,
+    ]);
+
+    return {
+      plan: {
+        type: 'Park',
+        location: park,
+        environmentalRating: recommendation.percentile,
+        recommendation,
+        guide,
+        guideSource,
+        daylight: daylightFor(parkRoute, { origin, mode: routeOptions.mode, pace, departAt, roundTrip: true }),
+      },
+      route: parkRoute,
+    };
+  };
+
+  const planPark = async ({
+    origin,
+    pace,
+    amenities = [],
+    excludeParkIds = [],
+    timeBudget = DEFAULT_TIME_BUDGET,
+    isochrones,
+    limit = MAX_RECOMMENDATIONS,
+    ...options
+  }) => {
+    if (!origin) throw new Error('We need a starting point. Search for a place or set it on the map.');
+
+    const mode = options.mode || 'walk';
+    const bands = isochrones || await reach(origin, { mode, pace });
+    const recommendations = await analysis.rank({
+      origin,
+      amenities,
+      excludeParkIds,
+      isochrones: bands,
+      maxMinutes: timeBudget,
+      evening: options.evening,
+      limit,
+    });
+
+    if (recommendations.length === 0) {
+      const reachText = `a ${timeBudget}-minute ${TRAVEL_MODES[mode].label.toLowerCase()}`;
+      const skipText = excludeParkIds.length > 0 ? ' you haven\'t visited' : '';
+      throw new Error(amenities.length > 0
+        ? `No parks${skipText} within ${reachText} have all of the selected amenities.`
+        : `No parks${skipText} within ${reachText}.`);
+    }
+
+    const { plan, route: parkRoute } = await planForPark(recommendations[0], { origin, pace, ...options });
+    return { recommendations, plan, route: parkRoute, isochrones: bands };
+  };
+
+  const planLoop = async ({
+    origin,
+    targetMiles,
+    amenities = [],
+    excludeParkIds = [],
+    pace,
+    departAt,
+    ...routeOptions
+  }) => {
+    if (!origin) throw new Error('We need a starting point. Search for a place or set it on the map.');
+
+    const candidates = await analysis.rank({
+      origin,
+      amenities,
+      excludeParkIds,
+      maxDistance: targetMiles / 2,
+      evening: routeOptions.evening,
+    });
+    const loop = chooseLoopWaypoints({ origin, candidates, targetMiles });
+    if (!loop) throw new Error('No parks are close enough for a loop of that length.');
+
+    const points = [origin, ...loop.stops.map(stop => stop.center), origin];
+    let legs;
+    try {
+      legs = await Promise.all(points.slice(1).map((end, index) => route(points[index], end, routeOptions)));
+    } catch (error) {
+      console.error('Error fetching route:', error);
+      throw new Error('We couldn\'t route that loop. Please try again.');
+    }
+
+    const loopRoute = joinRouteLegs(legs, loop.stops.map(({ park }) => parkDisplayName(park)));
+    loopRoute.properties.exposure = scoreRouteExposure(loopRoute, tractLookup);
+
+    return {
+      plan: {
+        type: 'Loop',
+        stops: loop.stops,
+        targetMiles,
+        daylight: daylightFor(loopRoute, { origin, mode: routeOptions.mode, pace, departAt, roundTrip: false }),
+      },
+      route: loopRoute,
+    };
+  };
+
+  /**
+   * Picks a park for a group leaving from `origins` (see planning/meetup) and
+   * routes everyone there. `people` lists each person's route distance and
+   * minutes, from straight-line estimates when their route fails; `routes`
+   * holds the routes in origin order, null where routing failed.
+   */
+  const planMeetup = async ({
+    origins = [],
+    fairness = 'worst',
+    amenities = [],
+    excludeParkIds = [],
+    pace,
+    ...routeOptions
+  }) => {
+    if (origins.length < MIN_MEETUP_ORIGINS) throw new Error('Add at least two starting points to plan a meetup.');
+
+    const mode = routeOptions.mode || 'walk';
+    const candidates = await analysis.rank({
+      origin: meetingPoint(origins),
+      amenities,
+      excludeParkIds,
+      maxDistance: meetupSearchRadius(origins),
+      evening: routeOptions.evening,
+    });
+    if (candidates.length === 0) {
+      throw new Error(amenities.length > 0
+        ? 'No parks between your starting points have all of the selected amenities.'
+        : 'No parks between your starting points.');
+    }
+
+    const recommendations = rankMeetupParks({ origins, candidates, fairness, mode, pace, evening: routeOptions.evening })
+      .slice(0, MAX_RECOMMENDATIONS);
+    const choice = recommendations[0];
+
+    const routes = await Promise.all(origins.map(origin => route(origin, choice.center, routeOptions).catch(error => {
+      console.error('Error fetching route:', error);
+      return null;
+    })));
+
+    const people = origins.map((origin, index) => {
+      const routed = routes[index];
+      const meters = routed ? routed.properties.distance : choice.travel[index].distance;
+      return { origin, distance: meters, minutes: estimateTrip(meters, mode, { pace }).minutes, routed: Boolean(routed) };
+    });
+
+    return {
+      recommendations,
+      plan: {
+        type: 'Meetup',
+        location: choice.park,
+        environmentalRating: choice.percentile,
+        recommendation: choice,
+        fairness,
+        people,
+      },
+      routes,
+    };
+  };
+
+  // Per-tract park access for the gap analysis (see analysis/parkAccess).
+  const parkAccess = ({ distance, amenities = [] } = {}) => analysis.parkAccess({ distance, amenities });
+
+  return {
+    setTracts,
+    setParks,
+    setBikePaths,
+    describe,
+    route,
+    reach,
+    planForPark,
+    planPark,
+    planLoop,
+    planMeetup,
+    parkAccess,
+  };
+};
@@ -0,0 +1,147 @@
+import { bboxPolygon } from '@turf/turf';
+import { createPlanner } from './planner';
+import { createStraightLineRouting } from '../routing/providers';
+
+const parks = {
+  type: 'FeatureCollection',
+  features: [
+    bboxPolygon([-117.161, 32.715, -117.16, 32.716], {
+      properties: { objectid: 1, common_name: 'NEAR', acres: 5, playground: 1 },
+    }),
+    bboxPolygon([-117.151, 32.72, -117.15, 32.721], { properties: { objectid: 2, common_name: 'FARTHER', acres: 5 } }),
+    bboxPolygon([-116.5, 32.715, -116.49, 32.716], { properties: { objectid: 3, common_name: 'OUT OF REACH', acres: 5 } }),
+  ],
+};
+const tracts = {
+  type: 'FeatureCollection',
+  features: [bboxPolygon([-117.2, 32.7, -117.1, 32.73], { properties: { percentile: 0.8 } })],
+};
+const origin = [-117.16, 32.71];
+
+const createTestPlanner = (routing = createStraightLineRouting()) => {
+  const planner = createPlanner({ routing });
+  planner.setTracts(tracts);
+  planner.setParks(parks);
+  return planner;
+};
+
+test('plans a trip to the best reachable park', async () => {
+  const { plan, route, recommendations } = await createTestPlanner().planPark({ origin, mode: 'walk' });
+
+  expect(recommendations.map(({ park }) => park.properties.common_name)).toEqual(['NEAR', 'FARTHER']);
+  expect(plan).toMatchObject({ type: 'Park', location: parks.features[0], environmentalRating: 0.8, guideSource: 'template' });
+  expect(plan.guide).toMatch(/^### Near/);
+  expect(route.properties).toMatchObject({ mode: 'walk', networkDistance: 0 });
+  expect(route.properties.steps[route.properties.steps.length - 1].instruction).toBe('Arrive at your destination');
+  expect(route.properties.exposure.meanPercentile).toBeCloseTo(0.8);
+});
+
+test('explains why no park qualifies', async () => {
+  const planner = createTestPlanner();
+  await expect(planner.planPark({ origin, amenities: ['tennis'] }))
+    .rejects.toThrow('No parks within a 20-minute walk have all of the selected amenities.');
+  await expect(planner.planPark({ origin: null })).rejects.toThrow(/starting point/);
+});
+
+test('falls back to straight-line reach when isochrones fail', async () => {
+  const routing = {
+    ...createStraightLineRouting(),
+    isochrones: jest.fn().mockRejectedValue(new Error('offline')),
+  };
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+
+  const bands = await createTestPlanner(routing).reach(origin, { mode: 'bike' });
+  expect(bands.features.map(band => band.properties)).toEqual([
+    { minutes: 10, fallback: true },
+    { minutes: 20, fallback: true },
+    { minutes: 30, fallback: true },
+  ]);
+  console.error.mockRestore();
+});
+
+test('rejects a non-numeric or non-positive pace before routing', async () => {
+  const routing = { ...createStraightLineRouting(), isochrones: jest.fn() };
+  const planner = createTestPlanner(routing);
+
+  for (const pace of [0, -5, NaN, Infinity]) {
+    await expect(planner.reach(origin, { pace })).rejects.toThrow('Pace must be a positive number');
+  }
+  expect(routing.isochrones).not.toHaveBeenCalled();
+});
+
+test('keeps the plan when routing fails', async () => {
+  const routing = {
+    ...createStraightLineRouting(),
+    directions: jest.fn().mockRejectedValue(new Error('offline')),
+  };
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+
+  const { plan, route } = await createTestPlanner(routing).planPark({ origin });
+  expect(plan.location).toBe(parks.features[0]);
+  expect(route).toBeNull();
+  console.error.mockRestore();
+});
+
+test('plans a loop through nearby parks', async () => {
+  const { plan, route } = await createTestPlanner().planLoop({ origin, targetMiles: 3 });
+
+  expect(plan.type).toBe('Loop');
+  expect(plan.stops.length).toBeGreaterThan(0);
+  const coordinates = route.geometry.coordinates;
+  expect(coordinates[0]).toEqual(origin);
+  expect(coordinates[coordinates.length - 1]).toEqual(origin);
+});
+
+test('prefers lit parks in evening mode and checks the daylight', async () => {
+  const planner = createTestPlanner();
+  planner.setParks({
+    ...parks,
+    features: parks.features.map(park => (park.properties.common_name === 'FARTHER'
+      ? { ...park, properties: { ...park.properties, field_lighting: 'Y' } }
+      : park)),
+  });
+
+  const daytime = await planner.planPark({ origin });
+  expect(daytime.plan.location.properties.common_name).toBe('NEAR');
+  expect(daytime.plan.daylight).toBeNull();
+
+  const { plan } = await planner.planPark({
+    origin,
+    evening: true,
+    departAt: new Date('2024-12-21T16:20:00-08:00'),
+  });
+  expect(plan.location.properties.common_name).toBe('FARTHER');
+  expect(plan.daylight).toMatchObject({ arrivesAfterDark: false, returnsAfterDark: true });
+});
+
+test('leaves out parks the user has visited', async () => {
+  const planner = createTestPlanner();
+  const { plan } = await planner.planPark({ origin, excludeParkIds: ['1'] });
+  expect(plan.location.properties.common_name).toBe('FARTHER');
+  await expect(planner.planPark({ origin, excludeParkIds: ['1', '2'] }))
+    .rejects.toThrow('No parks you haven\'t visited within a 20-minute walk.');
+});
+
+test('routes everyone in a group to a park between them', async () => {
+  const planner = createTestPlanner();
+  const origins = [[-117.17, 32.715], [-117.14, 32.725]];
+  const { plan, routes, recommendations } = await planner.planMeetup({ origins, mode: 'walk' });
+
+  expect(plan).toMatchObject({ type: 'Meetup', fairness: 'worst', location: recommendations[0].park });
+  expect(recommendations.map(({ park }) => park.properties.common_name)).not.toContain('OUT OF REACH');
+  expect(routes).toHaveLength(2);
+  routes.forEach((personRoute, index) => expect(personRoute.geometry.coordinates[0]).toEqual(origins[index]));
+  expect(plan.people.map(person => person.routed)).toEqual([true, true]);
+  expect(plan.people[0].minutes).toBeCloseTo(plan.people[0].distance / 1609.34 * 20);
+
+  await expect(planner.planMeetup({ origins: [origin] })).rejects.toThrow(/at least two starting points/);
+});
+
+test('asks for the guide in the park\'s region', async () => {
+  const guides = { guide: jest.fn().mockResolvedValue({ guide: '### Near', source: 'ai' }) };
+  const planner = createPlanner({ routing: createStraightLineRouting(), guides });
+  planner.setParks(parks);
+
+  await planner.planPark({ origin, region: 'los-angeles' });
+  expect(guides.guide).toHaveBeenCalledWith(parks.features[0], { region: 'los-angeles' });
+});
@@ -0,0 +1,69 @@
+import { TRAVEL_MODES } from './travelModes';
+import { AMENITY_FILTERS } from '../parks/facilities';
+import { findRegion } from '../regions/regions';
+
+const ROUTE_PREFERENCES = ['protected', 'shortest', 'cleanest'];
+const COORD_DIGITS = 5; // ~1 m
+
+const round = (value, digits = COORD_DIGITS) => Number(value.toFixed(digits));
+
+const parseNumbers = (value, count) => {
+  if (!value) return null;
+  const numbers = value.split(',').map(Number);
+  return numbers.length === count && numbers.every(Number.isFinite) ? numbers : null;
+};
+
+/**
+ * Encodes what is needed to rebuild a plan into URL query parameters:
+ *
+ *   from=<lon>,<lat>  park=<objectid>  mode=<walk|run|bike>
+ *   route=<preference>  amenities=<id>,<id>  map=<zoom>,<lat>,<lon>
+ *   region=<region id>
+ */
+export const encodePlanState = ({ origin, parkId, mode, preference, amenities, viewport, region }) => {
+  const params = new URLSearchParams();
+  if (region) params.set('region', region);
+  if (origin) params.set('from', origin.map(value => round(value)).join(','));
+  if (parkId !== undefined && parkId !== null) params.set('park', String(parkId));
+  if (mode) params.set('mode', mode);
+  if (preference) params.set('route', preference);
+  if (amenities && amenities.length > 0) params.set('amenities', amenities.join(','));
+  if (viewport) {
+    params.set('map', [round(viewport.zoom, 2), round(viewport.latitude), round(viewport.longitude)].join(','));
+  }
+  return params.toString();
+};
+
+/**
+ * Reads a query string written by encodePlanState. Unknown or malformed values
+ * are dropped, so a mangled link degrades to the defaults instead of failing.
+ */
+export const decodePlanState = (search) => {
+  const params = new URLSearchParams(search);
+  const state = {};
+
+  const region = params.get('region');
+  if (findRegion(region)) state.region = region;
+
+  const origin = parseNumbers(params.get('from'), 2);
+  if (origin) state.origin = origin;
+
+  const parkId = params.get('park');
+  if (parkId) state.parkId = parkId;
+
+  const mode = params.get('mode');
+  if (TRAVEL_MODES[mode]) state.mode = mode;
+
+  const preference = params.get('route');
+  if (ROUTE_PREFERENCES.includes(preference)) state.preference = preference;
+
+  const amenities = (params.get('amenities') || '')
+    .split(',')
+    .filter(id => AMENITY_FILTERS.some(filter => filter.id === id));
+  if (amenities.length > 0) state.amenities = amenities;
+
+  const map = parseNumbers(params.get('map'), 3);
+  if (map) state.viewport = { zoom: map[0], latitude: map[1], longitude: map[2] };
+
+  return state;
+};
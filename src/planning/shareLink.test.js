@@ -0,0 +1,29 @@
+import { encodePlanState, decodePlanState } from './shareLink';
+
+test('round-trips a plan through the query string', () => {
+  const state = {
+    origin: [-117.161084, 32.715738],
+    parkId: 42,
+    mode: 'bike',
+    preference: 'cleanest',
+    amenities: ['playground', 'restrooms'],
+    viewport: { longitude: -117.16, latitude: 32.71, zoom: 13.456 },
+    region: 'san-diego',
+  };
+
+  expect(decodePlanState(encodePlanState(state))).toEqual({
+    origin: [-117.16108, 32.71574],
+    parkId: '42',
+    mode: 'bike',
+    preference: 'cleanest',
+    amenities: ['playground', 'restrooms'],
+    viewport: { longitude: -117.16, latitude: 32.71, zoom: 13.46 },
+    region: 'san-diego',
+  });
+});
+
+test('drops malformed values', () => {
+  expect(decodePlanState('?region=atlantis&from=abc,1&mode=skate&route=fastest&amenities=hot_tub,tennis&map=1,2')).toEqual({
+    amenities: ['tennis'],
+  });
+});
@@ -0,0 +1,44 @@
+export const METERS_PER_MILE = 1609.34;
+
+// `pace` is the default in minutes per mile and `met` the metabolic equivalent
+// used for calorie estimates.
+export const TRAVEL_MODES = {
+  walk: { label: 'Walk', profile: 'walking', pace: 20, met: 3.5 },
+  run: { label: 'Run', profile: 'walking', pace: 10, met: 9.8 },
+  bike: { label: 'Bike', profile: 'cycling', pace: 5, met: 7.5 },
+};
+
+export const DEFAULT_PACES = Object.fromEntries(
+  Object.entries(TRAVEL_MODES).map(([id, mode]) => [id, mode.pace])
+);
+
+export const DEFAULT_WEIGHT_KG = 70;
+
+/**
+ * Estimates time (minutes) and calories for covering `meters` in `modeId` at
+ * `pace` minutes per mile. Calories use the standard MET formula:
+ * kcal = MET * body weight (kg) * hours.
+ */
+export const estimateTrip = (meters, modeId, { pace, weightKg = DEFAULT_WEIGHT_KG } = {}) => {
+  const mode = TRAVEL_MODES[modeId];
+  const miles = meters / METERS_PER_MILE;
+  const minutes = miles * (pace || mode.pace);
+
+  return {
+    miles,
+    minutes,
+    calories: mode.met * weightKg * (minutes / 60),
+  };
+};
+
+export const formatDuration = (minutes) => {
+  const rounded = Math.round(minutes);
+  if (rounded < 60) return `${rounded} min`;
+  return `${Math.floor(rounded / 60)} h ${rounded % 60} min`;
+};
+
+export const formatDistance = (meters) => {
+  const miles = meters / METERS_PER_MILE;
+  if (miles < 0.1) return `${Math.round(meters * 3.28084)} ft`;
+  return `${miles.toFixed(miles < 10 ? 2 : 1)} mi`;
+};
@@ -0,0 +1,16 @@
+import { estimateTrip, formatDuration, METERS_PER_MILE } from './travelModes';
+
+test('estimates time from pace and calories from MET', () => {
+  const trip = estimateTrip(2 * METERS_PER_MILE, 'walk', { pace: 15, weightKg: 80 });
+  expect(trip.minutes).toBeCloseTo(30);
+  expect(trip.calories).toBeCloseTo(3.5 * 80 * 0.5);
+});
+
+test('falls back to the mode default pace', () => {
+  expect(estimateTrip(METERS_PER_MILE, 'bike').minutes).toBeCloseTo(5);
+});
+
+test('formats durations', () => {
+  expect(formatDuration(42.4)).toBe('42 min');
+  expect(formatDuration(95)).toBe('1 h 35 min');
+});
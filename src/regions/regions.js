@@ -0,0 +1,56 @@
+import { center } from '@turf/turf';
+import { isWithinBounds, featuresWithin } from '../data/bounds';
+import sanDiego from './san-diego.json';
+import losAngeles from './los-angeles.json';
+import sacramento from './sacramento.json';
+
+/**
+ * Region profiles, one JSON file per region:
+ *
+ *   bounds       [west, south, east, north]; parks and place search stay inside
+ *   center/zoom  where the map opens
+ *   parks        sources tried in order until one loads: `{ type: 'arcgis', url }`
+ *                for a FeatureServer query endpoint, or `{ type: 'geojson', url }`
+ *                (`asset` for files bundled from src/geo_data) with an optional
+ *                `crs` for files that don't declare theirs
+ *   bikeNetwork  a GeoJSON source as above, optional
+ *   hpi          `countyFips` picks the region's tracts out of the statewide HPI data
+ */
+export const REGIONS = [sanDiego, losAngeles, sacramento];
+export const DEFAULT_REGION_ID = sanDiego.id;
+
+export const findRegion = (id) => REGIONS.find(region => region.id === id) || null;
+
+export const regionForPoint = (point) => REGIONS.find(region => isWithinBounds(point, region.bounds)) || null;
+
+export const regionViewport = (region) => ({
+  longitude: region.center[0],
+  latitude: region.center[1],
+  zoom: region.zoom,
+});
+
+// Tract GEOIDs are state (06) + county FIPS + tract; numeric ones have lost
+// the leading zero.
+const countyFips = (tract) => {
+  const geoid = tract.properties?.geoid ?? tract.properties?.GEOID;
+  return geoid === undefined || geoid === null ? null : String(geoid).padStart(11, '0').slice(2, 5);
+};
+
+/**
+ * Keeps the HPI tracts in `region`: by county when the profile lists counties
+ * and the tract has a GEOID, otherwise by whether its center is in bounds.
+ */
+export const tractsInRegion = (collection, region) => {
+  const counties = region.hpi?.countyFips;
+  if (!counties) return featuresWithin(collection, region.bounds);
+
+  return {
+    type: 'FeatureCollection',
+    features: collection.features.filter(tract => {
+      const county = countyFips(tract);
+      return county === null
+        ? isWithinBounds(center(tract).geometry.coordinates, region.bounds)
+        : counties.includes(county);
+    }),
+  };
+};
@@ -0,0 +1,47 @@
+import { REGIONS, findRegion, regionForPoint, regionViewport, tractsInRegion } from './regions';
+
+const square = (lon, lat, properties = {}) => ({
+  type: 'Feature',
+  properties,
+  geometry: {
+    type: 'Polygon',
+    coordinates: [[[lon, lat], [lon + 0.01, lat], [lon + 0.01, lat + 0.01], [lon, lat + 0.01], [lon, lat]]],
+  },
+});
+
+test('every profile declares what the app needs', () => {
+  REGIONS.forEach(region => {
+    expect(region.bounds).toHaveLength(4);
+    expect(region.parks.length).toBeGreaterThan(0);
+    region.parks.forEach(source => expect(['arcgis', 'geojson']).toContain(source.type));
+    expect(regionForPoint(region.center)).toBe(region);
+  });
+});
+
+test('finds the region around a point', () => {
+  expect(regionForPoint([-117.16, 32.72]).id).toBe('san-diego');
+  expect(regionForPoint([-118.24, 34.05]).id).toBe('los-angeles');
+  expect(regionForPoint([-121.49, 38.58]).id).toBe('sacramento');
+  expect(regionForPoint([-122.42, 37.77])).toBeNull();
+});
+
+test('opens the map on the region center', () => {
+  expect(regionViewport(findRegion('sacramento'))).toEqual({ longitude: -121.4944, latitude: 38.5816, zoom: 10 });
+  expect(findRegion('atlantis')).toBeNull();
+});
+
+test('picks tracts by county, and by bounds when a tract has no GEOID', () => {
+  const tracts = {
+    type: 'FeatureCollection',
+    features: [
+      square(-117.16, 32.72, { geoid: '06073000100' }),
+      square(-117.16, 32.72, { geoid: 6037000100 }),
+      square(-118.24, 34.05, { GEOID: 6037000200 }),
+      square(-118.24, 34.05, {}),
+      square(-117.16, 32.72, {}),
+    ],
+  };
+
+  expect(tractsInRegion(tracts, findRegion('san-diego')).features).toEqual([tracts.features[0], tracts.features[4]]);
+  expect(tractsInRegion(tracts, findRegion('los-angeles')).features).toEqual(tracts.features.slice(1, 4));
+});
@@ -0,0 +1,29 @@
+import React from 'react';
+import { formatDistance } from '../planning/travelModes';
+
+const DirectionsList = ({ steps, activeIndex, onHover, onSelect }) => (
+  <ol style={{ paddingLeft: '20px', margin: 0, fontSize: '13px' }}>
+    {steps.map((step, index) => (
+      <li
+        key={index}
+        onMouseEnter={() => onHover(index)}
+        onMouseLeave={() => onHover(null)}
+        onClick={() => onSelect(index)}
+        style={{
+          padding: '4px',
+          cursor: 'pointer',
+          borderRadius: '3px',
+          backgroundColor: index === activeIndex ? '#fff3b0' : 'transparent'
+        }}
+      >
+        <div>{step.instruction}</div>
+        <div style={{ fontSize: '11px', color: '#555' }}>
+          {step.distance > 0 && `${formatDistance(step.distance)} · `}
+          {formatDistance(step.cumulativeDistance)} total
+        </div>
+      </li>
+    ))}
+  </ol>
+);
+
+export default DirectionsList;
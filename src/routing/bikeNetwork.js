@@ -0,0 +1,141 @@
+import { distance } from '@turf/turf';
+
+// Cost multipliers per bikeway class. A "protected" route minimises
+// length * weight, so separated paths are preferred over on-street routes.
+export const FACILITY_WEIGHTS = {
+  path: 1,
+  cycletrack: 1.15,
+  lane: 1.6,
+  route: 2.2,
+  unknown: 2.5,
+};
+
+const COORD_PRECISION = 1e6; // ~0.1 m, enough to join segments sharing an endpoint
+const METERS_PER_DEGREE = 111320;
+
+const nodeKey = ([lon, lat]) =>
+  `${Math.round(lon * COORD_PRECISION)},${Math.round(lat * COORD_PRECISION)}`;
+
+export const classifyFacility = (properties = {}) => {
+  const raw = [
+    properties.class,
+    properties.bike_class,
+    properties.facility,
+    properties.type,
+    properties.descriptio,
+  ]
+    .filter(value => value !== undefined && value !== null)
+    .join(' ')
+    .toLowerCase();
+
+  if (/\b(class\s*)?(iv|4)\b|cycle\s*track|separated|protected/.test(raw)) return 'cycletrack';
+  if (/\b(class\s*)?(iii|3)\b|route|boulevard|sharrow/.test(raw)) return 'route';
+  if (/\b(class\s*)?(ii|2)\b|lane/.test(raw)) return 'lane';
+  if (/\b(class\s*)?(i|1)\b|path|trail|multi/.test(raw)) return 'path';
+  return 'unknown';
+};
+
+const LIGHTING_FIELDS = ['lit', 'lighting', 'lighted', 'illuminated'];
+
+// Whether a bikeway is lit after dark. Uses a lighting attribute when the data
+// has one; otherwise on-street facilities are taken to share the street
+// lighting and off-street paths are assumed dark.
+export const isLitFacility = (properties = {}, facility = classifyFacility(properties)) => {
+  const field = LIGHTING_FIELDS.find(name => properties[name] !== undefined && properties[name] !== null);
+  if (field) {
+    const value = properties[field];
+    return typeof value === 'string' ? /^(y|yes|true|1)$/i.test(value.trim()) : Boolean(value);
+  }
+  return facility === 'lane' || facility === 'route' || facility === 'cycletrack';
+};
+
+const lineParts = (geometry) => {
+  if (!geometry) return [];
+  if (geometry.type === 'LineString') return [geometry.coordinates];
+  if (geometry.type === 'MultiLineString') return geometry.coordinates;
+  return [];
+};
+
+/**
+ * Turns a bike routes FeatureCollection into an undirected graph. Every pair of
+ * consecutive vertices becomes an edge, and vertices shared between features
+ * become junctions.
+ */
+export const buildBikeNetwork = (geojson) => {
+  const nodes = new Map();
+  const adjacency = new Map();
+  const segments = [];
+
+  const addNode = (coord) => {
+    const key = nodeKey(coord);
+    if (!nodes.has(key)) {
+      nodes.set(key, coord);
+      adjacency.set(key, []);
+    }
+    return key;
+  };
+
+  (geojson?.features || []).forEach(feature => {
+    const facility = classifyFacility(feature.properties);
+    const weight = FACILITY_WEIGHTS[facility];
+    const lit = isLitFacility(feature.properties, facility);
+
+    lineParts(feature.geometry).forEach(coords => {
+      for (let i = 1; i < coords.length; i++) {
+        const from = addNode(coords[i - 1]);
+        const to = addNode(coords[i]);
+        if (from === to) continue;
+
+        const length = distance(coords[i - 1], coords[i], { units: 'meters' });
+        const segment = { from, to, length, facility, weight, lit };
+        segments.push(segment);
+        adjacency.get(from).push({ to, length, segment });
+        adjacency.get(to).push({ to: from, length, segment });
+      }
+    });
+  });
+
+  return { nodes, adjacency, segments };
+};
+
+// Projects `coord` onto the segment a-b using a local equirectangular
+// approximation, which is accurate enough at city scale.
+const projectOntoSegment = (coord, a, b) => {
+  const scale = Math.cos((coord[1] * Math.PI) / 180);
+  const ax = a[0] * scale, ay = a[1];
+  const bx = b[0] * scale, by = b[1];
+  const px = coord[0] * scale, py = coord[1];
+  const dx = bx - ax, dy = by - ay;
+  const lengthSquared = dx * dx + dy * dy;
+  const t = lengthSquared === 0
+    ? 0
+    : Math.max(0, Math.min(1, ((px - ax) * dx + (py - ay) * dy) / lengthSquared));
+  const cx = ax + t * dx, cy = ay + t * dy;
+
+  return {
+    t,
+    coordinates: [cx / scale, cy],
+    offset: Math.hypot(px - cx, py - cy) * METERS_PER_DEGREE,
+  };
+};
+
+/**
+ * Finds the closest point on the network to `coord`. Returns the segment it lies
+ * on, the position along it (`t`, 0..1) and how far `coord` is from the network.
+ */
+export const snapToNetwork = (network, coord) => {
+  let best = null;
+
+  network.segments.forEach(segment => {
+    const projection = projectOntoSegment(
+      coord,
+      network.nodes.get(segment.from),
+      network.nodes.get(segment.to)
+    );
+    if (!best || projection.offset < best.offset) {
+      best = { ...projection, segment };
+    }
+  });
+
+  return best;
+};
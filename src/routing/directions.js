@@ -0,0 +1,90 @@
+import { bearing, distance } from '@turf/turf';
+
+const FACILITY_NAMES = {
+  path: 'the bike path',
+  cycletrack: 'the cycle track',
+  lane: 'the bike lane',
+  route: 'the bike route',
+  unknown: 'the bikeway',
+};
+
+const TURN_THRESHOLD = 35; // degrees of heading change that count as a turn
+
+/**
+ * Converts the steps of a Mapbox Directions route into our step shape:
+ * `{ instruction, distance, coordinates }`. Leave out the arrival step when the
+ * route is only a leg of a longer trip.
+ */
+export const stepsFromDirections = (route, { includeArrival = true } = {}) =>
+  (route?.legs || [])
+    .flatMap(leg => leg.steps || [])
+    .filter(step => step.maneuver?.type === 'arrive' ? includeArrival : step.distance > 0)
+    .map(step => ({
+      instruction: step.maneuver.instruction,
+      distance: step.distance,
+      coordinates: step.geometry.coordinates,
+    }));
+
+const turnInstruction = (change, facilityName) => {
+  const direction = change > 0 ? 'right' : 'left';
+  const magnitude = Math.abs(change);
+  if (magnitude > 150) return `Make a U-turn on ${facilityName}`;
+  if (magnitude < 60) return `Bear ${direction} onto ${facilityName}`;
+  return `Turn ${direction} onto ${facilityName}`;
+};
+
+const headingChange = (from, to) => ((to - from + 540) % 360) - 180;
+
+/**
+ * Describes a path through the bike network. A new step starts wherever the
+ * bikeway class changes or the heading turns by more than TURN_THRESHOLD.
+ */
+export const stepsFromNetworkPath = (path) => {
+  if (!path || path.coordinates.length < 2) return [];
+
+  const steps = [];
+  let current = null;
+  let lastHeading = null;
+
+  for (let i = 1; i < path.coordinates.length; i++) {
+    const a = path.coordinates[i - 1];
+    const b = path.coordinates[i];
+    const length = distance(a, b, { units: 'meters' });
+    if (length === 0) continue;
+
+    const facility = path.facilities?.[i - 1] || 'unknown';
+    const heading = bearing(a, b);
+    const change = lastHeading === null ? 0 : headingChange(lastHeading, heading);
+    lastHeading = heading;
+
+    if (!current || current.facility !== facility || Math.abs(change) > TURN_THRESHOLD) {
+      const facilityName = FACILITY_NAMES[facility];
+      const instruction = !current
+        ? `Join ${facilityName}`
+        : Math.abs(change) > TURN_THRESHOLD
+          ? turnInstruction(change, facilityName)
+          : `Continue onto ${facilityName}`;
+      current = { instruction, distance: 0, coordinates: [a], facility };
+      steps.push(current);
+    }
+
+    current.distance += length;
+    current.coordinates.push(b);
+  }
+
+  return steps.map(({ facility, ...step }) => step);
+};
+
+export const arrivalStep = (coordinates) => ({
+  instruction: 'Arrive at your destination',
+  distance: 0,
+  coordinates: [coordinates],
+});
+
+export const withCumulativeDistance = (steps) => {
+  let total = 0;
+  return steps.map(step => {
+    total += step.distance;
+    return { ...step, cumulativeDistance: total };
+  });
+};
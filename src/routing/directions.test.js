@@ -0,0 +1,28 @@
+import { stepsFromDirections, stepsFromNetworkPath, withCumulativeDistance } from './directions';
+
+test('keeps Mapbox maneuvers and drops the arrival of intermediate legs', () => {
+  const route = {
+    legs: [{
+      steps: [
+        { distance: 120, maneuver: { type: 'depart', instruction: 'Head north on Maple St' }, geometry: { coordinates: [[0, 0], [0, 0.001]] } },
+        { distance: 0, maneuver: { type: 'arrive', instruction: 'You have arrived' }, geometry: { coordinates: [[0, 0.001], [0, 0.001]] } },
+      ],
+    }],
+  };
+  expect(stepsFromDirections(route).map(step => step.instruction)).toEqual(['Head north on Maple St', 'You have arrived']);
+  expect(stepsFromDirections(route, { includeArrival: false })).toHaveLength(1);
+});
+
+test('splits network paths at turns and facility changes', () => {
+  const steps = stepsFromNetworkPath({
+    coordinates: [[-117.16, 32.71], [-117.155, 32.71], [-117.15, 32.71], [-117.15, 32.715]],
+    facilities: ['path', 'path', 'lane'],
+  });
+  expect(steps.map(step => step.instruction)).toEqual(['Join the bike path', 'Turn left onto the bike lane']);
+  expect(steps[0].coordinates).toHaveLength(3);
+});
+
+test('accumulates distance', () => {
+  const steps = withCumulativeDistance([{ distance: 100 }, { distance: 50 }]);
+  expect(steps.map(step => step.cumulativeDistance)).toEqual([100, 150]);
+});
@@ -0,0 +1,82 @@
+import axios from 'axios';
+import { distance, lineString } from '@turf/turf';
+import { fetchIsochrones, bufferIsochrones } from '../planning/isochrones';
+
+const DIRECTIONS_URL = 'https://api.mapbox.com/directions/v5/mapbox';
+
+/**
+ * Routing provider backed by the Mapbox Directions and Isochrone APIs.
+ * Routing providers implement:
+ *
+ *   directions(start, end, { profile, alternatives }) -> Promise<route[]>
+ *     routes in the Mapbox Directions shape ({ distance, geometry, legs })
+ *   isochrones(origin, { profile, pace, minutes }) -> Promise<FeatureCollection>
+ *     one polygon per band, each with a `minutes` property
+ */
+export const createMapboxRouting = (token) => ({
+  directions: async (start, end, { profile, alternatives = false }) => {
+    const response = await axios.get(
+      `${DIRECTIONS_URL}/${profile}/${start[0]},${start[1]};${end[0]},${end[1]}`,
+      {
+        params: {
+          access_token: token,
+          geometries: 'geojson',
+          steps: true,
+          overview: 'full',
+          alternatives,
+        },
+      }
+    );
+
+    return response.data.routes;
+  },
+  isochrones: (origin, { profile, pace, minutes }) => fetchIsochrones(origin, { profile, pace, token, minutes }),
+});
+
+const straightStep = (type, instruction, coordinates, length) => ({
+  distance: length,
+  maneuver: { type, instruction },
+  geometry: { type: 'LineString', coordinates },
+});
+
+/**
+ * Offline routing provider: straight lines between points and circular
+ * reachability bands. Deterministic, so it suits fixture-based regression
+ * runs and machines without a Mapbox token.
+ */
+export const createStraightLineRouting = () => ({
+  directions: async (start, end) => {
+    const length = distance(start, end, { units: 'meters' });
+    return [{
+      distance: length,
+      geometry: lineString([start, end]).geometry,
+      legs: [{
+        steps: [
+          straightStep('depart', 'Head straight to your destination', [start, end], length),
+          straightStep('arrive', 'Arrive at your destination', [end, end], 0),
+        ],
+      }],
+    }];
+  },
+  isochrones: async (origin, { pace, minutes }) => bufferIsochrones(origin, { pace, minutes }),
+});
+
+/**
+ * Uses `fallback` (straight lines by default) whenever `primary` can't be
+ * reached, e.g. offline. Errors the primary service answered with still
+ * surface, so a bad request isn't hidden behind a straight line.
+ */
+export const withOfflineFallback = (primary, fallback = createStraightLineRouting()) => {
+  const unreachable = (error) => !error.response;
+
+  return {
+    directions: (start, end, options) => primary.directions(start, end, options).catch(error => {
+      if (!unreachable(error)) throw error;
+      return fallback.directions(start, end, options);
+    }),
+    isochrones: (origin, options) => primary.isochrones(origin, options).catch(error => {
+      if (!unreachable(error)) throw error;
+      return fallback.isochrones(origin, options);
+    }),
+  };
+};
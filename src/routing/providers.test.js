@@ -0,0 +1,31 @@
+import { withOfflineFallback } from './providers';
+
+const start = [-117.16, 32.71];
+const end = [-117.15, 32.72];
+
+const networkError = () => Object.assign(new Error('Network Error'), { response: undefined });
+const serverError = () => Object.assign(new Error('Request failed with status code 422'), { response: { status: 422 } });
+
+test('falls back to straight lines when the provider is unreachable', async () => {
+  const routing = withOfflineFallback({
+    directions: jest.fn().mockRejectedValue(networkError()),
+    isochrones: jest.fn().mockRejectedValue(networkError()),
+  });
+
+  const [route] = await routing.directions(start, end, { profile: 'walking' });
+  expect(route.geometry.coordinates).toEqual([start, end]);
+
+  const bands = await routing.isochrones(start, { pace: 20 });
+  expect(bands.features.map(band => band.properties.minutes)).toEqual([10, 20, 30]);
+});
+
+test('passes through answers and errors from the provider', async () => {
+  const routes = [{ distance: 1 }];
+  const routing = withOfflineFallback({
+    directions: jest.fn().mockResolvedValueOnce(routes).mockRejectedValueOnce(serverError()),
+    isochrones: jest.fn(),
+  });
+
+  await expect(routing.directions(start, end, {})).resolves.toBe(routes);
+  await expect(routing.directions(start, end, {})).rejects.toThrow('422');
+});
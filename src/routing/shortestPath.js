@@ -0,0 +1,210 @@
+import { snapToNetwork } from './bikeNetwork';
+
+const ORIGIN = 'origin';
+const DESTINATION = 'destination';
+
+// Minimal binary heap keyed on `cost`; the graphs are too large for a sorted array.
+class MinHeap {
+  constructor() {
+    this.items = [];
+  }
+
+  get size() {
+    return this.items.length;
+  }
+
+  push(item) {
+    const items = this.items;
+    items.push(item);
+    let i = items.length - 1;
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (items[parent].cost <= items[i].cost) break;
+      [items[parent], items[i]] = [items[i], items[parent]];
+      i = parent;
+    }
+  }
+
+  pop() {
+    const items = this.items;
+    const top = items[0];
+    const last = items.pop();
+    if (items.length > 0) {
+      items[0] = last;
+      let i = 0;
+      for (;;) {
+        const left = 2 * i + 1;
+        const right = left + 1;
+        let smallest = i;
+        if (left < items.length && items[left].cost < items[smallest].cost) smallest = left;
+        if (right < items.length && items[right].cost < items[smallest].cost) smallest = right;
+        if (smallest === i) break;
+        [items[smallest], items[i]] = [items[i], items[smallest]];
+        i = smallest;
+      }
+    }
+    return top;
+  }
+}
+
+// Unscored segments count as average air so they are neither sought nor avoided.
+const DEFAULT_EXPOSURE = 0.5;
+const EXPOSURE_PENALTIES = [8, 4, 2, 1, 0.5];
+// In evening mode an unlit meter costs this many lit ones.
+const UNLIT_PENALTY = 3;
+
+const preferenceCost = (edge, preference, exposurePenalty) => {
+  if (preference === 'protected') return edge.length * edge.segment.weight;
+  if (preference === 'cleanest') {
+    const exposure = edge.segment.exposure ?? DEFAULT_EXPOSURE;
+    return edge.length * (1 + exposurePenalty * exposure);
+  }
+  return edge.length;
+};
+
+const edgeCost = (edge, preference, exposurePenalty, evening) =>
+  preferenceCost(edge, preference, exposurePenalty) * (evening && !edge.segment.lit ? UNLIT_PENALTY : 1);
+
+// Temporary edges linking a snapped point to both ends of the segment it lies on.
+const virtualEdges = (id, snap) => {
+  const { segment, t } = snap;
+  return [
+    { from: id, to: segment.from, length: segment.length * t, segment },
+    { from: id, to: segment.to, length: segment.length * (1 - t), segment },
+  ];
+};
+
+const sameSegment = (a, b) => a.segment === b.segment;
+
+/**
+ * Runs Dijkstra between two snapped positions. Returns the ordered list of
+ * coordinates, the bikeway class of each hop, the on-network length and how
+ * much of it is unlit, in meters, or null if the snapped positions are on
+ * disconnected parts of the network. `evening` steers the path onto lit
+ * bikeways.
+ */
+export const findNetworkPath = (
+  network,
+  originSnap,
+  destinationSnap,
+  preference = 'shortest',
+  exposurePenalty = 0,
+  evening = false
+) => {
+  const extraEdges = new Map();
+  const addExtra = (edge) => {
+    if (!extraEdges.has(edge.from)) extraEdges.set(edge.from, []);
+    extraEdges.get(edge.from).push(edge);
+  };
+  virtualEdges(ORIGIN, originSnap).forEach(addExtra);
+  virtualEdges(DESTINATION, destinationSnap).forEach(edge =>
+    addExtra({ ...edge, from: edge.to, to: DESTINATION })
+  );
+  if (sameSegment(originSnap, destinationSnap)) {
+    const { segment } = originSnap;
+    addExtra({
+      from: ORIGIN,
+      to: DESTINATION,
+      length: segment.length * Math.abs(originSnap.t - destinationSnap.t),
+      segment,
+    });
+  }
+
+  const neighbours = (id) => [
+    ...(network.adjacency.get(id) || []),
+    ...(extraEdges.get(id) || []),
+  ];
+
+  const costs = new Map([[ORIGIN, 0]]);
+  const lengths = new Map([[ORIGIN, 0]]);
+  const unlitLengths = new Map([[ORIGIN, 0]]);
+  const previous = new Map();
+  const previousEdge = new Map();
+  const heap = new MinHeap();
+  heap.push({ id: ORIGIN, cost: 0 });
+
+  while (heap.size > 0) {
+    const { id, cost } = heap.pop();
+    if (id === DESTINATION) break;
+    if (cost > costs.get(id)) continue;
+
+    neighbours(id).forEach(edge => {
+      const nextCost = cost + edgeCost(edge, preference, exposurePenalty, evening);
+      if (nextCost < (costs.get(edge.to) ?? Infinity)) {
+        costs.set(edge.to, nextCost);
+        lengths.set(edge.to, lengths.get(id) + edge.length);
+        unlitLengths.set(edge.to, unlitLengths.get(id) + (edge.segment.lit ? 0 : edge.length));
+        previous.set(edge.to, id);
+        previousEdge.set(edge.to, edge);
+        heap.push({ id: edge.to, cost: nextCost });
+      }
+    });
+  }
+
+  if (!previous.has(DESTINATION)) return null;
+
+  const coordinates = [];
+  const facilities = [];
+  for (let id = DESTINATION; id !== undefined; id = previous.get(id)) {
+    if (id === ORIGIN) coordinates.push(originSnap.coordinates);
+    else if (id === DESTINATION) coordinates.push(destinationSnap.coordinates);
+    else coordinates.push(network.nodes.get(id));
+    if (previousEdge.has(id)) facilities.push(previousEdge.get(id).segment.facility);
+  }
+
+  // `facilities[i]` is the bikeway class between coordinates i and i + 1.
+  return {
+    coordinates: coordinates.reverse(),
+    facilities: facilities.reverse(),
+    length: lengths.get(DESTINATION),
+    unlitLength: unlitLengths.get(DESTINATION),
+  };
+};
+
+/**
+ * Finds the lowest-exposure path that is at most `detourTolerance` (a fraction,
+ * e.g. 0.2 for 20%) longer than the shortest one. Penalties are tried from
+ * strongest to weakest, so the first path within tolerance is the cleanest.
+ */
+const findCleanestPath = (network, originSnap, destinationSnap, detourTolerance, evening) => {
+  const shortest = findNetworkPath(network, originSnap, destinationSnap, 'shortest', 0, evening);
+  if (!shortest) return null;
+
+  const maxLength = shortest.length * (1 + detourTolerance);
+  for (const penalty of EXPOSURE_PENALTIES) {
+    const path = findNetworkPath(network, originSnap, destinationSnap, 'cleanest', penalty, evening);
+    if (path && path.length <= maxLength) return path;
+  }
+
+  return shortest;
+};
+
+/**
+ * Snaps `start` and `end` onto the network and returns the best on-network path
+ * between them along with the snapped entry and exit points. Points further than
+ * `maxSnapDistance` meters from the network are not routed.
+ */
+export const routeOnNetwork = (
+  network,
+  start,
+  end,
+  { preference = 'shortest', maxSnapDistance = 800, detourTolerance = 0.2, evening = false } = {}
+) => {
+  if (!network || network.segments.length === 0) return null;
+
+  const originSnap = snapToNetwork(network, start);
+  const destinationSnap = snapToNetwork(network, end);
+  if (!originSnap || !destinationSnap) return null;
+  if (originSnap.offset > maxSnapDistance || destinationSnap.offset > maxSnapDistance) return null;
+
+  const path = preference === 'cleanest'
+    ? findCleanestPath(network, originSnap, destinationSnap, detourTolerance, evening)
+    : findNetworkPath(network, originSnap, destinationSnap, preference, 0, evening);
+  if (!path) return null;
+
+  return {
+    ...path,
+    entry: originSnap.coordinates,
+    exit: destinationSnap.coordinates,
+  };
+};
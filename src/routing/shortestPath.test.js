@@ -0,0 +1,62 @@
+import { buildBikeNetwork, classifyFacility, isLitFacility } from './bikeNetwork';
+import { routeOnNetwork } from './shortestPath';
+
+const line = (properties, coordinates) => ({
+  type: 'Feature',
+  properties,
+  geometry: { type: 'LineString', coordinates },
+});
+
+// A short direct on-street lane and a longer detour along a separated path.
+const network = buildBikeNetwork({
+  type: 'FeatureCollection',
+  features: [
+    line({ class: 'Class II Bike Lane' }, [[-117.16, 32.71], [-117.15, 32.71]]),
+    line({ class: 'Class I Bike Path' }, [[-117.16, 32.71], [-117.155, 32.712], [-117.15, 32.71]]),
+  ],
+});
+
+test('classifies bikeway classes', () => {
+  expect(classifyFacility({ class: 'Class I Bike Path' })).toBe('path');
+  expect(classifyFacility({ class: 'Class II Bike Lane' })).toBe('lane');
+  expect(classifyFacility({ class: 'Class III Bike Route' })).toBe('route');
+  expect(classifyFacility({ class: 'Class IV Cycle Track' })).toBe('cycletrack');
+  expect(classifyFacility({})).toBe('unknown');
+});
+
+test('joins features that share endpoints', () => {
+  expect(network.nodes.size).toBe(3);
+  expect(network.segments).toHaveLength(3);
+});
+
+test('shortest preference takes the direct lane', () => {
+  const path = routeOnNetwork(network, [-117.161, 32.71], [-117.149, 32.71], { preference: 'shortest' });
+  expect(path.coordinates).not.toContainEqual([-117.155, 32.712]);
+  expect(path.length).toBeGreaterThan(900);
+  expect(path.length).toBeLessThan(1000);
+});
+
+test('protected preference detours onto the separated path', () => {
+  const path = routeOnNetwork(network, [-117.161, 32.71], [-117.149, 32.71], { preference: 'protected' });
+  expect(path.coordinates).toContainEqual([-117.155, 32.712]);
+});
+
+test('reads lighting attributes and assumes on-street bikeways are lit', () => {
+  expect(isLitFacility({ class: 'Class I Bike Path', lighting: 'Y' })).toBe(true);
+  expect(isLitFacility({ class: 'Class II Bike Lane', lit: 'no' })).toBe(false);
+  expect(isLitFacility({ class: 'Class I Bike Path' })).toBe(false);
+  expect(isLitFacility({ class: 'Class II Bike Lane' })).toBe(true);
+});
+
+test('evening mode keeps to lit bikeways', () => {
+  const path = routeOnNetwork(network, [-117.161, 32.71], [-117.149, 32.71], { preference: 'protected', evening: true });
+  expect(path.coordinates).not.toContainEqual([-117.155, 32.712]);
+  expect(path.unlitLength).toBe(0);
+
+  const daytime = routeOnNetwork(network, [-117.161, 32.71], [-117.149, 32.71], { preference: 'protected' });
+  expect(daytime.unlitLength).toBeCloseTo(daytime.length);
+});
+
+test('does not route points far from the network', () => {
+  expect(routeOnNetwork(network, [-117.3, 32.9], [-117.149, 32.71])).toBeNull();
+});
@@ -0,0 +1,84 @@
+import { distance, midpoint } from '@turf/turf';
+import { indexFeatures, findContaining } from '../analysis/spatialIndex';
+
+// HPI percentiles below this count as "low" (the most polluted quarter).
+export const LOW_PERCENTILE = 0.25;
+
+const SAMPLE_SPACING = 100; // meters between exposure samples along a route
+
+/**
+ * Builds a point -> tract percentile lookup for an HPI FeatureCollection.
+ * Tracts are loaded into an R-tree once, so each lookup only runs
+ * point-in-polygon tests against the few tracts whose bounding box matches.
+ */
+export const createTractLookup = (tracts) => {
+  if (!tracts || !tracts.features) return null;
+
+  const index = indexFeatures(
+    tracts.features.filter(tract => tract.geometry && typeof tract.properties?.percentile === 'number')
+  );
+
+  return (point) => {
+    const hit = findContaining(index, point);
+    return hit ? hit.feature.properties.percentile : null;
+  };
+};
+
+/**
+ * Stores each segment's exposure (1 - tract percentile, so 1 is the worst air)
+ * on the bike network, for use by the "cleanest" routing preference.
+ */
+export const annotateNetworkExposure = (network, lookup) => {
+  if (!network || !lookup) return network;
+
+  network.segments.forEach(segment => {
+    const percentile = lookup(
+      midpoint(network.nodes.get(segment.from), network.nodes.get(segment.to)).geometry.coordinates
+    );
+    segment.exposure = percentile === null ? null : 1 - percentile;
+  });
+
+  return network;
+};
+
+/**
+ * Scores a LineString by the tracts it passes through. `score` is the
+ * length-weighted mean of (1 - percentile) on a 0-100 scale, so lower is
+ * cleaner; `lowShare` is the fraction of the scored length inside tracts below
+ * LOW_PERCENTILE; `meanPercentile` is the length-weighted mean tract
+ * percentile (0..1). Stretches outside every tract are left out of all three.
+ */
+export const scoreRouteExposure = (route, lookup) => {
+  const coordinates = route?.geometry?.coordinates;
+  if (!coordinates || !lookup) return null;
+
+  let scoredLength = 0;
+  let weightedExposure = 0;
+  let lowLength = 0;
+
+  for (let i = 1; i < coordinates.length; i++) {
+    const a = coordinates[i - 1];
+    const b = coordinates[i];
+    const length = distance(a, b, { units: 'meters' });
+    const samples = Math.max(1, Math.ceil(length / SAMPLE_SPACING));
+
+    for (let j = 0; j < samples; j++) {
+      const t = (j + 0.5) / samples;
+      const percentile = lookup([a[0] + (b[0] - a[0]) * t, a[1] + (b[1] - a[1]) * t]);
+      if (percentile === null) continue;
+
+      const pieceLength = length / samples;
+      scoredLength += pieceLength;
+      weightedExposure += pieceLength * (1 - percentile);
+      if (percentile < LOW_PERCENTILE) lowLength += pieceLength;
+    }
+  }
+
+  if (scoredLength === 0) return null;
+
+  return {
+    score: Math.round((weightedExposure / scoredLength) * 100),
+    lowShare: lowLength / scoredLength,
+    meanPercentile: 1 - weightedExposure / scoredLength,
+  };
+};
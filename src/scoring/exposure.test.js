@@ -0,0 +1,57 @@
+import { bboxPolygon, lineString } from '@turf/turf';
+import { buildBikeNetwork } from '../routing/bikeNetwork';
+import { routeOnNetwork } from '../routing/shortestPath';
+import { createTractLookup, annotateNetworkExposure, scoreRouteExposure } from './exposure';
+
+// A polluted tract to the south and a clean one to the north of 32.711.
+const tracts = {
+  type: 'FeatureCollection',
+  features: [
+    bboxPolygon([-117.2, 32.7, -117.1, 32.711], { properties: { percentile: 0.1 } }),
+    bboxPolygon([-117.2, 32.711, -117.1, 32.72], { properties: { percentile: 0.9 } }),
+  ],
+};
+const lookup = createTractLookup(tracts);
+
+test('looks up the percentile of the containing tract', () => {
+  expect(lookup([-117.15, 32.705])).toBe(0.1);
+  expect(lookup([-117.15, 32.715])).toBe(0.9);
+  expect(lookup([-116, 32.705])).toBeNull();
+});
+
+test('scores routes by the tracts they pass through', () => {
+  const polluted = scoreRouteExposure(lineString([[-117.16, 32.705], [-117.15, 32.705]]), lookup);
+  expect(polluted.score).toBe(90);
+  expect(polluted.lowShare).toBe(1);
+
+  const mixed = scoreRouteExposure(lineString([[-117.16, 32.705], [-117.15, 32.705], [-117.15, 32.715]]), lookup);
+  expect(mixed.score).toBeGreaterThan(10);
+  expect(mixed.score).toBeLessThan(90);
+});
+
+describe('cleanest preference', () => {
+  // Direct route through the polluted tract, or a detour through the clean one.
+  const network = annotateNetworkExposure(buildBikeNetwork({
+    type: 'FeatureCollection',
+    features: [
+      lineString([[-117.16, 32.71], [-117.15, 32.71]]),
+      lineString([[-117.16, 32.71], [-117.155, 32.713], [-117.15, 32.71]]),
+    ],
+  }), lookup);
+
+  test('takes the cleaner detour when it is within tolerance', () => {
+    const path = routeOnNetwork(network, [-117.16, 32.71], [-117.15, 32.71], {
+      preference: 'cleanest',
+      detourTolerance: 0.5,
+    });
+    expect(path.coordinates).toContainEqual([-117.155, 32.713]);
+  });
+
+  test('keeps the direct route when the detour is too long', () => {
+    const path = routeOnNetwork(network, [-117.16, 32.71], [-117.15, 32.71], {
+      preference: 'cleanest',
+      detourTolerance: 0.05,
+    });
+    expect(path.coordinates).not.toContainEqual([-117.155, 32.713]);
+  });
+});
@@ -0,0 +1,108 @@
+import { center, distance } from '@turf/turf';
+import { FACILITY_FIELDS, listFacilities, matchesAmenities } from '../parks/facilities';
+import { searchBox, boxAround } from '../analysis/spatialIndex';
+import { parkKey } from '../parks/identity';
+
+export const DEFAULT_WEIGHTS = {
+  percentile: 0.4,
+  distance: 0.3,
+  acreage: 0.15,
+  facilities: 0.15,
+};
+
+// After dark a lit park matters more than a big one.
+export const EVENING_WEIGHTS = {
+  percentile: 0.3,
+  distance: 0.25,
+  acreage: 0.1,
+  facilities: 0.1,
+  lighting: 0.25,
+};
+
+// Parks outside every tract get a neutral environmental score.
+const UNKNOWN_PERCENTILE = 0.5;
+
+/**
+ * Collects what the planner needs to know about one park: its center, the
+ * percentile of the tract containing it, its facilities and, when an origin is
+ * known, the straight-line distance in miles. Pass `parkCenter` when it has
+ * already been computed.
+ */
+export const describePark = (park, { origin, tractLookup, parkCenter } = {}) => {
+  const position = parkCenter || center(park).geometry.coordinates;
+  return {
+    park,
+    center: position,
+    distance: origin ? distance(origin, position, { units: 'miles' }) : null,
+    percentile: tractLookup ? tractLookup(position) : null,
+    facilities: listFacilities(park.properties),
+  };
+};
+
+/**
+ * Ranks every park whose center is within `maxDistance` miles of `origin` and
+ * that offers all of the requested `amenities` (AMENITY_FILTERS ids).
+ * Each component is normalised to 0..1 and the total is their weighted sum on
+ * a 0-100 scale; `breakdown` holds each component's share of that total.
+ *
+ * When a `reach` lookup (point -> estimated travel minutes, or null when out
+ * of reach; see planning/isochrones) is given, parks are limited to those
+ * reachable within `maxMinutes` instead, and the distance component uses
+ * travel time so a park behind a freeway ranks below one along a bike path.
+ *
+ * With a `parkIndex` (see analysis/spatialIndex) park centers are taken from
+ * the index and, for `maxDistance`, only parks in the surrounding box are
+ * considered.
+ *
+ * `evening` switches to EVENING_WEIGHTS, which favour parks with field lighting.
+ * Parks whose parkKey is in `excludeParkIds` are skipped.
+ */
+export const rankParks = ({
+  parks,
+  parkIndex,
+  origin,
+  tractLookup,
+  maxDistance = 2,
+  reach,
+  maxMinutes,
+  evening = false,
+  weights = evening ? EVENING_WEIGHTS : DEFAULT_WEIGHTS,
+  amenities = [],
+  excludeParkIds = [],
+}) => {
+  if ((!parks && !parkIndex) || !origin) return [];
+  const excluded = new Set(excludeParkIds);
+
+  const entries = parkIndex
+    ? (reach ? parkIndex.items : searchBox(parkIndex, boxAround(origin, maxDistance)))
+    : parks.features.map(feature => ({ feature, center: undefined }));
+
+  const candidates = entries
+    .filter(({ feature }) => matchesAmenities(feature.properties, amenities) && !excluded.has(parkKey(feature)))
+    .map(({ feature, center: parkCenter }) => describePark(feature, { origin, tractLookup, parkCenter }))
+    .map(candidate => (reach ? { ...candidate, minutes: reach(candidate.center) } : candidate))
+    .filter(candidate => (reach
+      ? candidate.minutes !== null && candidate.minutes <= maxMinutes
+      : candidate.distance <= maxDistance));
+
+  // Acreage is log-scaled so a handful of regional parks don't flatten the rest.
+  const maxAcres = Math.max(1, ...candidates.map(({ park }) => park.properties.acres || 0));
+
+  return candidates
+    .map(candidate => {
+      const components = {
+        percentile: candidate.percentile ?? UNKNOWN_PERCENTILE,
+        distance: reach ? 1 - candidate.minutes / maxMinutes : 1 - candidate.distance / maxDistance,
+        acreage: Math.log1p(candidate.park.properties.acres || 0) / Math.log1p(maxAcres),
+        facilities: candidate.facilities.length / FACILITY_FIELDS.length,
+        ...(weights.lighting && { lighting: matchesAmenities(candidate.park.properties, ['lighting']) ? 1 : 0 }),
+      };
+      const breakdown = Object.fromEntries(
+        Object.entries(components).map(([key, value]) => [key, (weights[key] || 0) * value * 100])
+      );
+      const score = Object.values(breakdown).reduce((sum, value) => sum + value, 0);
+
+      return { ...candidate, score, breakdown };
+    })
+    .sort((a, b) => b.score - a.score);
+};
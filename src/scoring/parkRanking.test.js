@@ -0,0 +1,81 @@
+import { bboxPolygon } from '@turf/turf';
+import { rankParks } from './parkRanking';
+
+const park = (box, properties) => bboxPolygon(box, { properties: { acres: 5, ...properties } });
+
+const parks = {
+  type: 'FeatureCollection',
+  features: [
+    park([-117.161, 32.715, -117.16, 32.716], { common_name: 'NEAR' }),
+    park([-117.131, 32.715, -117.13, 32.716], { common_name: 'FAR', acres: 50, playground: 1, tennis: 2 }),
+    park([-116.5, 32.715, -116.49, 32.716], { common_name: 'OUT OF REACH' }),
+  ],
+};
+
+test('ranks only parks within reach', () => {
+  const ranked = rankParks({ parks, origin: [-117.16, 32.71] });
+  expect(ranked.map(({ park }) => park.properties.common_name).sort()).toEqual(['FAR', 'NEAR']);
+});
+
+test('breakdown components add up to the score', () => {
+  rankParks({ parks, origin: [-117.16, 32.71] }).forEach(({ score, breakdown }) => {
+    const total = Object.values(breakdown).reduce((sum, value) => sum + value, 0);
+    expect(total).toBeCloseTo(score);
+  });
+});
+
+test('weights change the ordering', () => {
+  const byDistance = rankParks({
+    parks,
+    origin: [-117.16, 32.71],
+    weights: { distance: 1 },
+  });
+  const bySize = rankParks({
+    parks,
+    origin: [-117.16, 32.71],
+    weights: { acreage: 1, facilities: 1 },
+  });
+  expect(byDistance[0].park.properties.common_name).toBe('NEAR');
+  expect(bySize[0].park.properties.common_name).toBe('FAR');
+});
+
+test('drops parks missing a required amenity', () => {
+  const ranked = rankParks({ parks, origin: [-117.16, 32.71], amenities: ['playground', 'tennis'] });
+  expect(ranked.map(({ park }) => park.properties.common_name)).toEqual(['FAR']);
+});
+
+test('ranks by travel time when a reach lookup is given', () => {
+  // NEAR is closer in a straight line but cut off (say, across a freeway).
+  const minutesByLongitude = [[-117.14, 5], [-117.2, 25]];
+  const reach = ([lon]) => (lon > -117 ? null : minutesByLongitude.find(([west]) => lon > west)?.[1] ?? null);
+  const ranked = rankParks({
+    parks,
+    origin: [-117.16, 32.71],
+    reach,
+    maxMinutes: 30,
+    weights: { distance: 1 },
+  });
+  expect(ranked.map(({ park }) => park.properties.common_name)).toEqual(['FAR', 'NEAR']);
+  expect(rankParks({ parks, origin: [-117.16, 32.71], reach, maxMinutes: 20 })).toHaveLength(1);
+});
+
+test('evening mode favours parks with field lighting', () => {
+  const withLights = {
+    ...parks,
+    features: parks.features.map(feature => (feature.properties.common_name === 'NEAR'
+      ? { ...feature, properties: { ...feature.properties, field_lighting_cnt: 2 } }
+      : feature)),
+  };
+
+  const daytime = rankParks({ parks: withLights, origin: [-117.16, 32.71] });
+  expect(daytime[0].breakdown.lighting).toBeUndefined();
+
+  const evening = rankParks({ parks: withLights, origin: [-117.16, 32.71], evening: true });
+  expect(evening[0].park.properties.common_name).toBe('NEAR');
+  expect(evening[0].breakdown.lighting).toBe(25);
+});
+
+test('skips excluded parks', () => {
+  const ranked = rankParks({ parks, origin: [-117.16, 32.71], excludeParkIds: ['NEAR'] });
+  expect(ranked.map(({ park }) => park.properties.common_name)).toEqual(['FAR']);
+});
@@ -0,0 +1,66 @@
+/* eslint-disable no-restricted-globals */
+// react-scripts compiles this file with Workbox's InjectManifest into
+// build/service-worker.js; it is registered in production builds only (see
+// offline/registerServiceWorker).
+import { clientsClaim } from 'workbox-core';
+import { ExpirationPlugin } from 'workbox-expiration';
+import { CacheableResponsePlugin } from 'workbox-cacheable-response';
+import { precacheAndRoute, createHandlerBoundToURL } from 'workbox-precaching';
+import { registerRoute } from 'workbox-routing';
+import { NetworkFirst, StaleWhileRevalidate } from 'workbox-strategies';
+
+const NETWORK_TIMEOUT_SECONDS = 8;
+
+clientsClaim();
+
+// The app shell: every file in the build, including the bundled parks snapshot.
+precacheAndRoute(self.__WB_MANIFEST);
+
+// Page loads get the cached index.html; files and the API go to their own routes.
+const fileExtension = /\/[^/?]+\.[^/]+$/;
+registerRoute(
+  ({ request, url }) =>
+    request.mode === 'navigate' &&
+    !url.pathname.startsWith('/_') &&
+    !url.pathname.startsWith('/api/') &&
+    !fileExtension.test(url.pathname),
+  createHandlerBoundToURL(`${process.env.PUBLIC_URL}/index.html`)
+);
+
+const okResponses = new CacheableResponsePlugin({ statuses: [0, 200] });
+
+// Bike routes and region files in public/ change rarely.
+registerRoute(
+  ({ url }) => url.origin === self.location.origin && url.pathname.endsWith('.geojson'),
+  new StaleWhileRevalidate({ cacheName: 'data-layers', plugins: [okResponses] })
+);
+
+// Parks FeatureServers and HPI tracts: fresh when online, the last copy when not.
+registerRoute(
+  ({ url }) => url.hostname === 'api.healthyplacesindex.org' || url.pathname.includes('/FeatureServer/'),
+  new NetworkFirst({
+    cacheName: 'data-services',
+    networkTimeoutSeconds: NETWORK_TIMEOUT_SECONDS,
+    plugins: [okResponses, new ExpirationPlugin({ maxEntries: 40 })],
+  })
+);
+
+// Park guides from our server; saved plans keep their own copy (see history/).
+registerRoute(
+  ({ url }) => url.origin === self.location.origin && url.pathname.startsWith('/api/park-guide'),
+  new NetworkFirst({
+    cacheName: 'park-guides',
+    networkTimeoutSeconds: NETWORK_TIMEOUT_SECONDS,
+    plugins: [okResponses, new ExpirationPlugin({ maxEntries: 50 })],
+  })
+);
+
+// The map style, sprites and fonts, so the basemap can draw from mapbox-gl's
+// own tile cache. Tiles, directions and isochrones are never cached here.
+registerRoute(
+  ({ url }) => url.hostname === 'api.mapbox.com' && /^\/(styles|fonts)\//.test(url.pathname),
+  new StaleWhileRevalidate({
+    cacheName: 'map-style',
+    plugins: [okResponses, new ExpirationPlugin({ maxEntries: 60 })],
+  })
+);